@@ -9,52 +9,381 @@
   // Config
   const USE_DETERMINISTIC_SPAWN = true; // Keep initial camera consistent across reloads
 
-  // World image (2048x2048 by default per README)
-  const worldImage = new Image();
-  worldImage.src = "world.jpg";
-  worldImage.decoding = "async";
+  // World: world.jpg (2048x2048 per README), pre-cut tiles, or a Tiled JSON
+  // map via ?map=. Either way it's drawn in chunks as they load.
+  const WORLD_IMAGE_URL = "world.jpg";
+  const WORLD_PREVIEW_URL = "world-preview.jpg"; // Optional low-res placeholder
+  const WORLD_TILES_MANIFEST = "world-tiles/manifest.json"; // Optional
+  const WORLD_DEFAULT_SIZE = 2048; // Assumed until world.jpg arrives
+  const CHUNK_SIZE = 512; // World px per chunk when slicing
+  const CHUNK_MAX_LOADS = 4; // Chunks loading at once
+  const CHUNK_PREFETCH_MS = 500; // Prefetch where the camera will be this soon
+  const CHUNK_RETRY_MS = 2000; // Wait before retrying a failed chunk, doubling
+  const CHUNK_RETRY_MAX_MS = 30000;
+  const CHUNK_CACHE_MAX = 64; // Loaded chunks kept per layer
+  const chunkLoads = {
+    queue: [], // Chunks waiting to load, most urgent first
+    active: 0,
+    lastCamera: null, // { x, y } last frame, to tell where we're heading
+  };
 
   // Networking
-  const WS_URL = "wss://codepath-mmorg.onrender.com";
-  let ws;
+  // "mock" selects the in-process mock server, anything else is a ws(s) URL.
+  // ?server= preselects one in the lobby; mock tuning via &bots=, &latency=,
+  // &jitter= and &drop=
+  const DEFAULT_SERVER_URL = "wss://codepath-mmorg.onrender.com";
+  const SERVER_PRESETS = [
+    { label: "Shared server", url: DEFAULT_SERVER_URL },
+    { label: "Mock server (offline)", url: "mock" },
+    { label: "Local server", url: "ws://localhost:8080" },
+  ];
+  const queryParams = new URLSearchParams(window.location.search);
+  const MAP_URL = queryParams.get("map");
+  let currentRegionName = ""; // Shown in the HUD; "" outside any region
+  let serverTarget = DEFAULT_SERVER_URL; // Chosen in the lobby
+  let transport = null;
+  let mockServer = null;
+
+  // Reconnection (exponential backoff with jitter)
+  const RECONNECT_BASE_DELAY_MS = 1000;
+  const RECONNECT_MAX_DELAY_MS = 30000;
+  let reconnectAttempt = 0; // 0 while connected or on the first connect
+  let reconnectTimerId = null;
+
+  // Session recording (Record button, or ?record from page load) and replay
+  // (?replay=session.ndjson) of the protocol message stream
+  const RECORDING_FORMAT = "mmo-session";
+  const REPLAY_URL = queryParams.get("replay"); // "" = pick a file
+  const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+  const recorder = {
+    active: false,
+    startedAt: 0, // Date.now() when recording began
+    entries: [], // { t, dir: "in" | "out" | "event", msg | raw | event }
+    avatars: {}, // Every avatar seen, for the snapshot a recording opens with
+  };
+  const replay = {
+    active: REPLAY_URL !== null, // No socket; messages come from a recording
+    header: null,
+    entries: [],
+    index: 0, // Next entry to apply
+    time: 0, // ms since the recording started
+    seekTarget: 0, // Where the current seekReplay() is headed
+    duration: 0,
+    playing: false,
+    speed: 1,
+    lastFrameTime: 0,
+  };
 
-  // Input state
+  // Input state (one set of held directions per input source)
   const keysPressed = {
     up: false,
     down: false,
     left: false,
     right: false,
   };
+  const gamepadPressed = { up: false, down: false, left: false, right: false };
+  const touchPressed = { up: false, down: false, left: false, right: false };
+  const DEFAULT_KEY_BINDINGS = {
+    up: ["ArrowUp", "KeyW"],
+    down: ["ArrowDown", "KeyS"],
+    left: ["ArrowLeft", "KeyA"],
+    right: ["ArrowRight", "KeyD"],
+  };
+  const ACTION_LABELS = {
+    up: "Move up",
+    down: "Move down",
+    left: "Move left",
+    right: "Move right",
+  };
+  const KEY_BINDINGS_KEY = "mmo.keyBindings";
+  const GAMEPAD_DEADZONE = 0.25;
+  const JOYSTICK_DEADZONE = 0.3;
+  let keyBindings = loadKeyBindings();
+  let bindingCapture = null; // { action, slot } while waiting for a key to bind
   let movementLoopId = null;
   let lastMoveTime = 0;
   const MOVE_THROTTLE_MS = 100; // Only send move commands every 100ms
   let canSendMoveCommands = false; // Only send moves after we have server position
+  const MOVE_LOOKAHEAD_PX = 200; // Diagonal moves target a point this far ahead
+  let movementIntent = null; // { x, y } in -1..1 while a direction is held
+  const movementStats = {
+    sent: 0, // Move/stop messages sent in the current window
+    legacy: 0, // What one-packet-per-key would have sent in the same window
+    legacyLastMoveTime: 0,
+    windowStart: 0,
+    sentPerSecond: 0,
+    legacyPerSecond: 0,
+  };
+
+  // Client-side prediction
+  const PREDICTION_STEP_PX = 15; // Server moves us this far per directional move
+  const PREDICTION_WALK_SPEED = 120; // Server click-to-move speed in px/s
+  const PREDICTION_INPUT_TIMEOUT_MS = 1000; // Give up on unacknowledged inputs
+  const PREDICTION_CORRECTION_MS = 120; // Time constant for blending corrections
+  const PREDICTION_SNAP_DISTANCE = 256; // Larger errors snap instead of blend
+  const PREDICTION_CLICK_TOLERANCE = 48; // Allowed lead over the server on click-to-move
+  const DIRECTION_VECTORS = {
+    up: { x: 0, y: -1, facing: "north" },
+    down: { x: 0, y: 1, facing: "south" },
+    left: { x: -1, y: 0, facing: "west" },
+    right: { x: 1, y: 0, facing: "east" },
+  };
+  const prediction = {
+    x: 0, // Predicted authoritative position
+    y: 0,
+    correctionX: 0, // Visual offset blended away over time
+    correctionY: 0,
+    pendingInputs: [], // { dx, dy, sentAt } not yet reflected by the server
+    clickTarget: null,
+    lastServerX: 0,
+    lastServerY: 0,
+    lastFrameTime: 0,
+    debug: false, // F4 draws predicted vs server position
+  };
+
+  // Debug HUD (F3): frame timing, network traffic and drawing stats, plus
+  // optional overlays
+  const DEBUG_HUD_REFRESH_MS = 250;
+  const DEBUG_GRID_SIZE = 64; // World pixels; chunk edges are drawn stronger
+  const debugHud = {
+    open: false,
+    overlays: { boxes: false, targets: false, grid: false },
+    lastRefresh: 0,
+    // Frames: rAF-to-rAF time and time spent in render(), per stats window
+    lastFrameTime: 0,
+    frames: 0,
+    frameTotal: 0,
+    frameWorst: 0,
+    renderTotal: 0,
+    fps: 0,
+    frameMs: 0,
+    frameWorstMs: 0,
+    renderMs: 0,
+    // Network, counted per stats window and in total
+    windowStart: 0,
+    msgsIn: 0,
+    msgsOut: 0,
+    bytesIn: 0,
+    inPerSecond: 0,
+    outPerSecond: 0,
+    bytesPerSecond: 0,
+    bytesTotal: 0,
+    lastPlayersMoved: 0, // performance.now() of the last players_moved
+    broadcastInterval: 0, // Smoothed time between players_moved
+    // Entities in the last frame
+    drawn: 0,
+    culled: 0, // Skipped by the off-screen check in drawEntitySprite()
+  };
+
+  // Walkability: an optional mask of blocked cells over the world image
+  const WALK_CELL_SIZE = 16; // World px per cell for PNG masks and new drafts
+  const WALK_MASK_JSON = "world-walkability.json";
+  const WALK_MASK_PNG = "world-walkability.png";
+  const WALK_DRAFT_KEY = "mmo.walkabilityDraft";
+  const walkability = {
+    cellSize: WALK_CELL_SIZE,
+    cols: 0,
+    rows: 0,
+    blocked: null, // Uint8Array, 1 = blocked, row by row; null = no mask
+    source: "none", // "none", "json", "png" or "draft"
+    overlay: null, // Cached one-pixel-per-cell canvas for the debug overlay
+    debug: false, // F6 shows the mask over the map
+    painter: { open: false, brush: "block", size: 1, painting: false },
+  };
+  let clickRoute = null; // { waypoints, current } while walking a clicked path
+  let unreachableMark = null; // { x, y, at }: a click there found no path
+  const UNREACHABLE_MARK_MS = 800;
+
+  // Avatars
+  const AVATAR_DIRECTIONS = ["north", "south", "east"]; // West is flipped east
+  const AVATAR_FRAME_COUNT = 3;
+  const AVATAR_DEFAULT_SIZE = 32;
+  const AVATAR_MAX_SIZE = 128;
+  const AVATAR_MAX_PAYLOAD_BYTES = 256 * 1024;
+  const AVATAR_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+  const AVATAR_PREVIEW_FRAME_MS = 150;
+  const SAVED_AVATARS_KEY = "mmo.savedAvatars";
+  const SELECTED_AVATAR_KEY = "mmo.selectedAvatar";
+  // Walk animation (client-side; see updateAnimation())
+  const ANIM_WALK_CYCLE = [1, 0, 2, 0]; // Frame 0 is standing
+  const ANIM_WALK_FRAME_MS = 150; // Defaults; avatars may set their own
+  const ANIM_IDLE_FRAME_MS = 800; // Half a breath
+  const ANIM_REFERENCE_SPEED = PREDICTION_WALK_SPEED; // Walk timing is for this pace
+  const ANIM_MIN_SPEED = 15; // px/s; slower counts as standing
+  const ANIM_VELOCITY_SMOOTHING_MS = 100;
+  const AVATAR_DB_NAME = "mmo-avatars"; // IndexedDB cache of decoded avatars
+  const AVATAR_DB_STORE = "sheets";
+  const AVATAR_DB_MAX_SHEETS = 200;
+  const avatarAssets = {
+    byHash: new Map(), // Content hash -> Promise of decoded frames
+    hashByName: new Map(), // Avatar name -> content hash last sent for it
+    db: null, // Promise of the IndexedDB database, or of null without one
+  };
+
+  // Remote player interpolation (?interpDelay= overrides the delay)
+  const INTERPOLATION_DELAY_MS = Number(queryParams.get("interpDelay")) || 100;
+  const MAX_EXTRAPOLATION_MS = 200; // How far past the newest snapshot we guess
+  const TELEPORT_DISTANCE = 300; // Jumps larger than this aren't interpolated
+  const MAX_SNAPSHOTS = 30;
+
+  // Camera
+  const CAMERA_MIN_ZOOM = 0.5;
+  const CAMERA_MAX_ZOOM = 3;
+  const CAMERA_FOLLOW_MS = 120; // Time constant of the damped follow
+  const camera = {
+    freeLook: false, // Space held
+    panX: 0, // Free-look offset from following me, in world pixels
+    panY: 0,
+    dragging: false, // Free-look drag or pinch in progress
+    dragged: false, // Pointer moved since it went down, so it's not a click
+    pinch: null, // { distance, zoom } at pinch start
+    lastFrameTime: 0,
+  };
+
+  // Minimap
+  const MINIMAP_SIZE = 200;
+  const MINIMAP_THUMBNAIL_SIZE = 1024; // Big enough for zoom and fullscreen
+  const MINIMAP_MAX_ZOOM = 8;
+  const MINIMAP_HOVER_RADIUS = 6; // In minimap pixels
+  const minimap = {
+    zoom: 1,
+    fullscreen: false,
+    thumbnail: null, // Offscreen canvas of the downscaled world image
+    hoverPlayerId: null,
+    lastSignature: "", // What was last drawn; see getMinimapSignature()
+  };
+
+  // Player list (roster), following, and join/leave toasts
+  const ROSTER_REFRESH_MS = 250;
+  const ROSTER_IDLE_MS = 1000; // No position update for this long = idle
+  const ROSTER_THUMB_SIZE = 32;
+  const FOLLOW_DISTANCE = 48; // Close enough; stop walking
+  const FOLLOW_REPATH_DISTANCE = 32; // How far they move before a new path
+  const FOLLOW_REPATH_MS = 500;
+  const TOAST_MS = 3000;
+
+  // Arrows at the screen edge for players out of view
+  const INDICATOR_MODES = ["everyone", "friends", "chatted", "off"];
+  const INDICATOR_MODE_KEY = "mmo.indicatorMode";
+  const INDICATOR_MARGIN = 28; // Arrow tip distance from the viewport edge
+  const INDICATOR_GROUP_ANGLE = 0.15; // Radians; closer than this = one arrow
+  const INDICATOR_CHAT_RECENT_MS = 60000; // "Recently chatted"
+  let indicatorMode = loadIndicatorMode();
+
+  // Friends, blocked players and notes (see loadSocial())
+  const SOCIAL_KEY = "mmo.social";
+  const SOCIAL_EXPORT_FILE = "mmo-friends.json";
+  const FRIEND_COLOR = "#ffd54f";
+  const social = {
+    friends: new Map(), // Lowercased username -> username as typed
+    blocked: new Map(),
+    notes: new Map(), // Lowercased username -> { name, text }
+  };
+  const roster = {
+    open: false,
+    sortBy: "name", // "name", "distance" or "status"
+    rows: new Map(), // Player id -> { item, thumb, thumbFrame, name, distance, status, note, follow, friend }
+    dirty: true, // Something changed since the last render
+    socialDirty: true, // Friends or blocked lists need redrawing
+    lastRender: 0,
+    followId: null, // Player I'm walking after
+    followGoal: null, // Where the current follow path leads
+    lastFollowPath: 0,
+  };
+
+  // Chat
+  const CHAT_HISTORY_SIZE = 50;
+  const CHAT_ECHO_WINDOW_MS = 5000; // How long we expect our own message back
+  const CHAT_MAX_MESSAGES = 100; // Across all tabs
+  const CHAT_TABS = ["global", "nearby", "whispers"];
+  const CHAT_PLACEHOLDERS = {
+    global: "Message everyone...",
+    nearby: "Message players nearby...",
+    whispers: "Reply to your last whisper...",
+  };
+  // How close (world px) a sender must be for the Nearby tab; ?chatRadius=
+  const CHAT_NEARBY_RADIUS = Number(queryParams.get("chatRadius")) || 400;
+  const MUTED_USERS_KEY = "mmo.mutedUsers";
+  const chat = {
+    history: [], // Lines I typed, oldest first
+    historyIndex: -1, // -1 = not browsing history
+    pendingEchoes: [], // { message, sentAt } shown locally, maybe echoed back
+    muted: new Set(), // Lowercased usernames
+    activeTab: "global",
+    unread: { global: 0, nearby: 0, whispers: 0 },
+    whisperPartner: null, // Who plain text in the Whispers tab goes to
+  };
+
+  // Speech bubbles; speechBubbles[playerId] = [{ text, lines, createdAt, lifetime }]
+  const BUBBLE_FONT = "13px sans-serif";
+  const BUBBLE_MAX_WIDTH = 180;
+  const BUBBLE_MAX_LINES = 4;
+  const BUBBLE_MAX_STACK = 3;
+  const BUBBLE_LINE_HEIGHT = 16;
+  const BUBBLE_PADDING = 6;
+  const BUBBLE_GAP = 4;
+  const BUBBLE_TAIL = 6;
+  const BUBBLE_BASE_LIFETIME_MS = 4000;
+  const BUBBLE_MS_PER_CHAR = 60;
+  const BUBBLE_MAX_LIFETIME_MS = 10000;
+  const BUBBLE_FADE_MS = 1000;
+  const speechBubbles = {};
+
+  // Lobby
+  const LOBBY_PREFS_KEY = "mmo.lobby";
+  const USERNAME_PATTERN = /^[A-Za-z0-9 _-]+$/;
+
+  // Avatar editor state; frames[dir] = HTMLCanvasElement[]
+  const avatarEditor = {
+    size: AVATAR_DEFAULT_SIZE,
+    frames: { north: [], south: [], east: [] },
+    dir: "south",
+    frame: 0,
+    tool: "pen",
+    painting: false,
+    previewDirty: true,
+    westPreview: [],
+    previewTimerId: null,
+  };
 
   // Game state
   const state = {
     world: {
-      image: worldImage,
+      ground: null, // Chunk layer drawn below avatars
+      overhead: null, // Chunk layer of the map's overhead layers, if any
+      preview: null, // Low-res image of the whole world, if we have one
+      regions: [], // { name, x, y, width, height, ellipse, polygon } from the map
       width: 0,
       height: 0,
       ready: false,
     },
     me: {
       id: null,
-      username: "Tim",
+      username: "", // Set from the lobby
       x: 1024, // Default to world center to avoid top-left flash
       y: 1024,
       facing: "south",
       animationFrame: 0,
       avatarName: null,
+      anim: createAnimation(), // What's drawn; see updateAnimation()
       ready: false,
       hasServerPosition: false, // Track if we have a confirmed position from server
+      serverX: 1024, // Last authoritative position; x/y above is what we draw
+      serverY: 1024,
+      avatarUpload: null, // Optional custom avatar payload re-sent on every join_game
     },
     avatars: {
-      // avatars[name] = { frames: { north: Image[], south: Image[], east: Image[], west: Image[] } }
+      // avatars[name] = { hash, frames: { north: Image[], south: Image[], east: Image[], west: Image[] }, timing }
       byName: {},
     },
     otherPlayers: {
-      // otherPlayers[id] = { id, x, y, facing, animationFrame, username, avatarName, targetX, targetY, lastUpdate }
+      // otherPlayers[id] = { id, x, y, facing, animationFrame, username, avatarName, anim, targetX, targetY, lastUpdate, lastChatAt?, snapshots }
+      // snapshots = [{ t, x, y, isMoving }] in receive order; x/y is the interpolated position we draw
+      byId: {},
+    },
+    worldObjects: {
+      // worldObjects[id] = entity (see getEntities()): props, NPCs, markers
+      // drawn in the same depth-sorted pass as players
       byId: {},
     },
     viewport: {
@@ -62,6 +391,7 @@
       height: 0,
       cameraX: 0,
       cameraY: 0,
+      zoom: 1,
     },
   };
 
@@ -88,10 +418,8 @@
     octx.translate(off.width, 0);
     octx.scale(-1, 1);
     octx.drawImage(image, 0, 0);
-    const flipped = new Image();
-    flipped.decoding = "async";
-    flipped.src = off.toDataURL();
-    return flipped;
+    // The canvas itself: drawable right away, unlike an Image from a data URL
+    return off;
   }
 
   function resizeCanvas() {
@@ -115,7 +443,7 @@
     updateCamera();
   }
 
-  function updateCamera() {
+  function updateCamera(dt) {
     if (
       !state.world.ready ||
       state.world.width === 0 ||
@@ -124,96 +452,757 @@
     )
       return;
 
-    const vw = state.viewport.width;
-    const vh = state.viewport.height;
-    const ww = state.world.width;
-    const wh = state.world.height;
+    // Desired camera centers on me (plus any free-look pan), clamped so we
+    // don't show past the edges at the current zoom
+    const target = getCameraTarget();
+
+    // No frame time (join, resize) or dragging: snap. Otherwise follow with
+    // exponential damping so the camera eases after me.
+    if (dt === undefined || camera.dragging) {
+      state.viewport.cameraX = target.x;
+      state.viewport.cameraY = target.y;
+      return;
+    }
+    const k = 1 - Math.exp(-dt / CAMERA_FOLLOW_MS);
+    state.viewport.cameraX += (target.x - state.viewport.cameraX) * k;
+    state.viewport.cameraY += (target.y - state.viewport.cameraY) * k;
+  }
+
+  // Camera. cameraX/cameraY is the world point at the top-left of the screen
+  // and zoom is screen pixels per world pixel.
+  function getViewWorldSize() {
+    return {
+      width: state.viewport.width / state.viewport.zoom,
+      height: state.viewport.height / state.viewport.zoom,
+    };
+  }
 
-    // Desired camera centers on me
-    let desiredX = state.me.x - Math.floor(vw / 2);
-    let desiredY = state.me.y - Math.floor(vh / 2);
+  function worldToScreen(x, y) {
+    return {
+      x: (x - state.viewport.cameraX) * state.viewport.zoom,
+      y: (y - state.viewport.cameraY) * state.viewport.zoom,
+    };
+  }
 
-    // Clamp so we don't show past the edges
-    const maxX = Math.max(0, ww - vw);
-    const maxY = Math.max(0, wh - vh);
+  function screenToWorld(x, y) {
+    return {
+      x: state.viewport.cameraX + x / state.viewport.zoom,
+      y: state.viewport.cameraY + y / state.viewport.zoom,
+    };
+  }
 
-    state.viewport.cameraX = clamp(desiredX, 0, maxX);
-    state.viewport.cameraY = clamp(desiredY, 0, maxY);
+  function clampCameraAxis(desired, viewSize, worldSize) {
+    // Zoomed out past the world size: center the world instead
+    if (worldSize <= viewSize) return (worldSize - viewSize) / 2;
+    return clamp(desired, 0, worldSize - viewSize);
   }
 
-  async function cacheAvatarFrames(avatar) {
-    if (!avatar || !avatar.frames) return;
+  function getCameraTarget() {
+    const view = getViewWorldSize();
+    const baseX = state.me.x - view.width / 2;
+    const baseY = state.me.y - view.height / 2;
+    const x = clampCameraAxis(
+      baseX + camera.panX,
+      view.width,
+      state.world.width
+    );
+    const y = clampCameraAxis(
+      baseY + camera.panY,
+      view.height,
+      state.world.height
+    );
+
+    // Don't let free-look pan build up past the world edge
+    camera.panX = x - baseX;
+    camera.panY = y - baseY;
+    return { x, y };
+  }
 
-    const dirs = ["north", "south", "east"];
-    const cached = { north: [], south: [], east: [], west: [] };
+  // Points the camera at a world position until I move again
+  function lookAt(x, y) {
+    camera.panX = x - state.me.x;
+    camera.panY = y - state.me.y;
+  }
 
-    for (const dir of dirs) {
-      const sources = avatar.frames[dir] || [];
-      for (let i = 0; i < sources.length; i++) {
-        // Load each frame image
-        const img = await loadImage(sources[i]);
-        cached[dir][i] = img;
+  function resetCameraPan() {
+    if (camera.freeLook) return; // Space is held; the user is looking around
+    camera.panX = 0;
+    camera.panY = 0;
+  }
+
+  function setZoom(zoom) {
+    state.viewport.zoom = clamp(zoom, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM);
+  }
+
+  function setupCameraControls() {
+    const pointers = new Map(); // pointerId -> { x, y }
+
+    canvas.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        // Works for mouse wheels and trackpad pinch (ctrl+wheel) alike
+        setZoom(state.viewport.zoom * Math.exp(-event.deltaY * 0.0015));
+      },
+      { passive: false }
+    );
+
+    // Hold Space to free-look; releasing springs back to following me
+    document.addEventListener("keydown", (event) => {
+      if (event.code !== "Space" || getBoundDirection("Space")) return;
+      if (bindingCapture || isTextEntryTarget(event.target)) return;
+      event.preventDefault();
+      if (!camera.freeLook) {
+        camera.freeLook = true;
+        canvas.classList.add("free-look");
+      }
+    });
+    document.addEventListener("keyup", (event) => {
+      if (event.code !== "Space" || !camera.freeLook) return;
+      camera.freeLook = false;
+      camera.panX = 0;
+      camera.panY = 0;
+      canvas.classList.remove("free-look");
+    });
+
+    canvas.addEventListener("pointerdown", (event) => {
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      camera.dragged = false;
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        camera.pinch = {
+          distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+          zoom: state.viewport.zoom,
+        };
+      } else if (camera.freeLook) {
+        canvas.setPointerCapture(event.pointerId);
+      }
+    });
+
+    canvas.addEventListener("pointermove", (event) => {
+      const previous = pointers.get(event.pointerId);
+      if (!previous) return;
+      const current = { x: event.clientX, y: event.clientY };
+      pointers.set(event.pointerId, current);
+
+      if (camera.pinch && pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        setZoom(camera.pinch.zoom * (distance / camera.pinch.distance));
+        camera.dragging = true;
+        camera.dragged = true;
+      } else if (camera.freeLook) {
+        camera.panX -= (current.x - previous.x) / state.viewport.zoom;
+        camera.panY -= (current.y - previous.y) / state.viewport.zoom;
+        camera.dragging = true;
+        camera.dragged = true;
+      }
+    });
+
+    const release = (event) => {
+      pointers.delete(event.pointerId);
+      if (pointers.size < 2) camera.pinch = null;
+      if (pointers.size === 0) camera.dragging = false;
+    };
+    canvas.addEventListener("pointerup", release);
+    canvas.addEventListener("pointercancel", release);
+  }
+
+  // Avatar assets. Frames are decoded in parallel into ImageBitmaps, shared
+  // between avatars with the same content, and kept in IndexedDB as one
+  // sprite sheet per avatar (rows: north, south, east, west) so the next
+  // session skips decoding. state.avatars.byName only gets an entry once
+  // every frame is ready to draw.
+  async function loadAvatar(avatar) {
+    if (!avatar || !avatar.name || !avatar.frames) return;
+
+    const hash = hashString(JSON.stringify([avatar.frames, avatar.timing]));
+    avatarAssets.hashByName.set(avatar.name, hash);
+    if (state.avatars.byName[avatar.name]?.hash === hash) return;
+
+    let frames = avatarAssets.byHash.get(hash);
+    if (!frames) {
+      frames = decodeAvatar(avatar, hash);
+      avatarAssets.byHash.set(hash, frames);
+      // A failed decode may succeed next time the avatar is sent
+      frames.catch(() => avatarAssets.byHash.delete(hash));
+    }
+
+    const decoded = await frames;
+    // The same name may have been re-sent with other frames meanwhile
+    if (avatarAssets.hashByName.get(avatar.name) === hash) {
+      const previous = state.avatars.byName[avatar.name];
+      state.avatars.byName[avatar.name] = {
+        hash,
+        frames: decoded,
+        timing: sanitizeAvatarTiming(avatar.timing),
+      };
+      if (previous) releaseAvatarFrames(previous.hash);
+    }
+  }
+
+  // Closes the bitmaps of frames no avatar name uses (or is loading) any
+  // more; decoding them again later is cheap thanks to the sheet cache
+  function releaseAvatarFrames(hash) {
+    if ([...avatarAssets.hashByName.values()].includes(hash)) return;
+    const frames = avatarAssets.byHash.get(hash);
+    if (!frames) return;
+    avatarAssets.byHash.delete(hash);
+    frames.then(
+      (decoded) => {
+        for (const list of Object.values(decoded)) {
+          for (const frame of list) frame.close();
+        }
+      },
+      () => {}
+    );
+  }
+
+  // cyrb53: fast 53-bit string hash, plenty to tell avatars apart
+  function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  async function decodeAvatar(avatar, hash) {
+    const stored = await readAvatarSheet(hash);
+    if (stored) {
+      try {
+        return await cutAvatarSheet(stored);
+      } catch (e) {
+        console.warn(`Stored sprite sheet for ${avatar.name} is unusable`, e);
       }
     }
 
-    // Precompute west frames by flipping east frames
-    const eastFrames = cached.east || [];
-    for (let i = 0; i < eastFrames.length; i++) {
-      cached.west[i] = flipImageHorizontally(eastFrames[i]);
+    const frames = { north: [], south: [], east: [], west: [] };
+    await Promise.all(
+      AVATAR_DIRECTIONS.flatMap((dir) =>
+        (avatar.frames[dir] || []).map(async (src, i) => {
+          const blob = await (await fetch(src)).blob();
+          frames[dir][i] = await createImageBitmap(blob);
+        })
+      )
+    );
+    // West is east mirrored, made once here so drawing never has to wait
+    frames.west = await Promise.all(
+      frames.east.map((frame) =>
+        createImageBitmap(flipImageHorizontally(frame))
+      )
+    );
+
+    writeAvatarSheet(hash, avatar.name, frames);
+    return frames;
+  }
+
+  function openAvatarDb() {
+    if (!avatarAssets.db) {
+      avatarAssets.db = new Promise((resolve) => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(AVATAR_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(AVATAR_DB_STORE, {
+            keyPath: "hash",
+          });
+          store.createIndex("storedAt", "storedAt");
+        };
+        request.onsuccess = () => resolve(request.result);
+        // Private browsing and the like: just decode every session
+        request.onerror = () => {
+          console.warn("Avatar cache unavailable", request.error);
+          resolve(null);
+        };
+      });
     }
+    return avatarAssets.db;
+  }
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    state.avatars.byName[avatar.name] = { frames: cached };
+  async function readAvatarSheet(hash) {
+    const db = await openAvatarDb();
+    if (!db) return null;
+    try {
+      const store = db
+        .transaction(AVATAR_DB_STORE)
+        .objectStore(AVATAR_DB_STORE);
+      return (await idbRequest(store.get(hash))) || null;
+    } catch (e) {
+      console.warn("Failed to read the avatar cache", e);
+      return null;
+    }
   }
 
-  async function cacheMyAvatarFrames(avatarsMap, myAvatarName) {
-    const avatar = avatarsMap[myAvatarName];
-    if (!avatar) return;
+  // Frames are laid out on a grid of the largest frame size; each row is a
+  // direction. Records the frame counts and sizes to cut it up again.
+  async function writeAvatarSheet(hash, name, frames) {
+    const db = await openAvatarDb();
+    if (!db) return;
+
+    const dirs = [...AVATAR_DIRECTIONS, "west"];
+    const all = dirs.flatMap((dir) => frames[dir]);
+    const cellW = Math.max(1, ...all.map((frame) => frame.width));
+    const cellH = Math.max(1, ...all.map((frame) => frame.height));
+    const columns = Math.max(1, ...dirs.map((dir) => frames[dir].length));
+
+    const sheet = document.createElement("canvas");
+    sheet.width = cellW * columns;
+    sheet.height = cellH * dirs.length;
+    const sctx = sheet.getContext("2d");
+    const layout = {};
+    dirs.forEach((dir, row) => {
+      layout[dir] = frames[dir].map((frame, col) => {
+        sctx.drawImage(frame, col * cellW, row * cellH);
+        return {
+          x: col * cellW,
+          y: row * cellH,
+          width: frame.width,
+          height: frame.height,
+        };
+      });
+    });
 
-    // Use the generic cache function
-    await cacheAvatarFrames(avatar);
+    try {
+      const blob = await new Promise((resolve) => sheet.toBlob(resolve));
+      const store = db
+        .transaction(AVATAR_DB_STORE, "readwrite")
+        .objectStore(AVATAR_DB_STORE);
+      await idbRequest(
+        store.put({ hash, name, blob, layout, storedAt: Date.now() })
+      );
+      await pruneAvatarSheets(db);
+    } catch (e) {
+      console.warn("Failed to store avatar in the cache", e);
+    }
   }
 
-  function drawWorld() {
-    if (!state.world.ready) return;
+  // Keeps the newest AVATAR_DB_MAX_SHEETS
+  async function pruneAvatarSheets(db) {
+    const store = db
+      .transaction(AVATAR_DB_STORE, "readwrite")
+      .objectStore(AVATAR_DB_STORE);
+    let excess = (await idbRequest(store.count())) - AVATAR_DB_MAX_SHEETS;
+    if (excess <= 0) return;
+
+    const cursors = store.index("storedAt").openCursor();
+    await new Promise((resolve, reject) => {
+      cursors.onsuccess = () => {
+        const cursor = cursors.result;
+        if (!cursor || excess-- <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
+      cursors.onerror = () => reject(cursors.error);
+    });
+  }
+
+  async function cutAvatarSheet({ blob, layout }) {
+    const sheet = await createImageBitmap(blob);
+    const frames = {};
+    await Promise.all(
+      Object.entries(layout).map(async ([dir, rects]) => {
+        frames[dir] = await Promise.all(
+          rects.map((rect) =>
+            createImageBitmap(sheet, rect.x, rect.y, rect.width, rect.height)
+          )
+        );
+      })
+    );
+    sheet.close();
+    return frames;
+  }
 
-    const sx = state.viewport.cameraX;
-    const sy = state.viewport.cameraY;
-    const sw = state.viewport.width;
-    const sh = state.viewport.height;
+  // Stand-in drawn where an avatar is still loading; returns its top
+  function drawAvatarSilhouette(screenX, screenY, zoom) {
+    const size = AVATAR_DEFAULT_SIZE * zoom;
+    const top = Math.round(screenY - size);
+    if (
+      screenX < -size ||
+      screenX > state.viewport.width + size ||
+      screenY < 0 ||
+      top > state.viewport.height
+    ) {
+      return null;
+    }
 
-    const dx = 0;
-    const dy = 0;
-    const dw = state.viewport.width;
-    const dh = state.viewport.height;
+    // Gently pulse so it reads as "loading"
+    const pulse = 0.35 + 0.15 * Math.sin(performance.now() / 250);
+    ctx.save();
+    ctx.fillStyle = `rgba(20, 24, 30, ${pulse + 0.2})`;
+    ctx.beginPath();
+    ctx.arc(screenX, top + size * 0.22, size * 0.18, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.roundRect(
+      screenX - size * 0.22,
+      top + size * 0.42,
+      size * 0.44,
+      size * 0.58,
+      size * 0.12
+    );
+    ctx.fill();
+    ctx.restore();
+    return top;
+  }
 
-    // Source rect must be within image bounds
-    ctx.drawImage(state.world.image, sx, sy, sw, sh, dx, dy, dw, dh);
+  // World chunks. A chunk layer is a world-sized layer cut into square
+  // chunks that load on demand via loadChunk(col, row), which resolves to an
+  // image or canvas covering that chunk.
+  function createChunkLayer(width, height, chunkSize, loadChunk) {
+    return {
+      width,
+      height,
+      chunkSize,
+      cols: Math.ceil(width / chunkSize),
+      rows: Math.ceil(height / chunkSize),
+      chunks: new Map(), // row * cols + col -> { layer, col, row, image, status, failures, retryAt, lastUsed }
+      loadChunk,
+    };
   }
 
-  function getMyCurrentFrame() {
-    const avatarName = state.me.avatarName;
-    const avatar = state.avatars.byName[avatarName];
-    if (!avatar) return null;
+  // Returns the chunk, queueing it if it hasn't been asked for yet or its
+  // last load failed long enough ago. Urgent (visible) chunks jump ahead of
+  // prefetches.
+  function requestChunk(layer, col, row, urgent) {
+    const index = row * layer.cols + col;
+    const now = performance.now();
+    let chunk = layer.chunks.get(index);
+    if (!chunk) {
+      chunk = { layer, col, row, image: null, status: "new", failures: 0 };
+      layer.chunks.set(index, chunk);
+    }
+    chunk.lastUsed = now;
 
-    let dir = state.me.facing || "south";
     if (
-      dir !== "north" &&
-      dir !== "south" &&
-      dir !== "east" &&
-      dir !== "west"
+      chunk.status === "new" ||
+      (chunk.status === "failed" && now >= chunk.retryAt)
     ) {
-      dir = "south";
+      chunk.status = "queued";
+      if (urgent) chunkLoads.queue.unshift(chunk);
+      else chunkLoads.queue.push(chunk);
+    } else if (urgent && chunk.status === "queued") {
+      const position = chunkLoads.queue.indexOf(chunk);
+      if (position > 0) {
+        chunkLoads.queue.splice(position, 1);
+        chunkLoads.queue.unshift(chunk);
+      }
     }
-    const frames = avatar.frames[dir] || [];
-    const idx = clamp(
-      state.me.animationFrame | 0,
-      0,
-      Math.max(0, frames.length - 1)
+    pumpChunkLoads();
+    return chunk;
+  }
+
+  function pumpChunkLoads() {
+    while (chunkLoads.active < CHUNK_MAX_LOADS && chunkLoads.queue.length > 0) {
+      const chunk = chunkLoads.queue.shift();
+      chunk.status = "loading";
+      chunkLoads.active++;
+      chunk.layer
+        .loadChunk(chunk.col, chunk.row)
+        .then((image) => {
+          chunk.image = image;
+          chunk.status = "ready";
+          chunk.failures = 0;
+          evictChunks(chunk.layer);
+        })
+        .catch((e) => {
+          console.warn(`Failed to load chunk ${chunk.col},${chunk.row}`, e);
+          chunk.status = "failed";
+          chunk.failures++;
+          chunk.retryAt =
+            performance.now() +
+            Math.min(
+              CHUNK_RETRY_MS * 2 ** (chunk.failures - 1),
+              CHUNK_RETRY_MAX_MS
+            );
+        })
+        .finally(() => {
+          chunkLoads.active--;
+          pumpChunkLoads();
+        });
+    }
+  }
+
+  // Forgets the chunks drawn longest ago once a layer holds too many; they
+  // load again if they come back into view
+  function evictChunks(layer) {
+    const ready = [...layer.chunks].filter(([, c]) => c.status === "ready");
+    if (ready.length <= CHUNK_CACHE_MAX) return;
+    ready.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [index] of ready.slice(0, ready.length - CHUNK_CACHE_MAX)) {
+      layer.chunks.delete(index);
+    }
+  }
+
+  function forEachChunkIn(layer, x, y, width, height, callback) {
+    const size = layer.chunkSize;
+    const firstCol = Math.max(0, Math.floor(x / size));
+    const firstRow = Math.max(0, Math.floor(y / size));
+    const lastCol = Math.min(layer.cols - 1, Math.floor((x + width) / size));
+    const lastRow = Math.min(layer.rows - 1, Math.floor((y + height) / size));
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) callback(col, row);
+    }
+  }
+
+  // Draws the chunks in view. Ground chunks that haven't arrived yet show
+  // the matching part of the low-res preview instead.
+  function drawChunkLayer(layer, withPlaceholder) {
+    if (!state.world.ready || !layer) return;
+
+    const view = getViewWorldSize();
+    const zoom = state.viewport.zoom;
+    const preview = state.world.preview;
+    const size = layer.chunkSize;
+
+    forEachChunkIn(
+      layer,
+      state.viewport.cameraX,
+      state.viewport.cameraY,
+      view.width,
+      view.height,
+      (col, row) => {
+        const chunk = requestChunk(layer, col, row, true);
+        const x = col * size;
+        const y = row * size;
+        const w = Math.min(size, layer.width - x);
+        const h = Math.min(size, layer.height - y);
+
+        // Snap to whole pixels so neighbouring chunks don't leave seams
+        const topLeft = worldToScreen(x, y);
+        const dx = Math.floor(topLeft.x);
+        const dy = Math.floor(topLeft.y);
+        const dw = Math.ceil(topLeft.x + w * zoom) - dx;
+        const dh = Math.ceil(topLeft.y + h * zoom) - dy;
+
+        if (chunk.status === "ready") {
+          ctx.drawImage(chunk.image, 0, 0, w, h, dx, dy, dw, dh);
+        } else if (withPlaceholder && preview) {
+          const scaleX = (preview.naturalWidth || preview.width) / layer.width;
+          const scaleY =
+            (preview.naturalHeight || preview.height) / layer.height;
+          ctx.drawImage(
+            preview,
+            x * scaleX,
+            y * scaleY,
+            w * scaleX,
+            h * scaleY,
+            dx,
+            dy,
+            dw,
+            dh
+          );
+        } else if (withPlaceholder) {
+          ctx.fillStyle = "#1c232d";
+          ctx.fillRect(dx, dy, dw, dh);
+        }
+      }
+    );
+  }
+
+  // Queues the chunks the camera is heading for, judging by how it moved
+  // since the last frame
+  function prefetchChunks(dt) {
+    const { cameraX, cameraY } = state.viewport;
+    const last = chunkLoads.lastCamera;
+    chunkLoads.lastCamera = { x: cameraX, y: cameraY };
+    if (!last || !dt) return;
+
+    const view = getViewWorldSize();
+    const ahead = CHUNK_PREFETCH_MS / dt;
+    const dx = clamp((cameraX - last.x) * ahead, -view.width, view.width);
+    const dy = clamp((cameraY - last.y) * ahead, -view.height, view.height);
+    if (Math.abs(dx) < 1 && Math.abs(dy) < 1) return;
+
+    for (const layer of [state.world.ground, state.world.overhead]) {
+      if (!layer) continue;
+      forEachChunkIn(
+        layer,
+        cameraX + dx,
+        cameraY + dy,
+        view.width,
+        view.height,
+        (col, row) => requestChunk(layer, col, row, false)
+      );
+    }
+  }
+
+  // Copies one chunk out of a whole-world image
+  function sliceChunk(image, layer, col, row) {
+    const x = col * layer.chunkSize;
+    const y = row * layer.chunkSize;
+    const chunk = document.createElement("canvas");
+    chunk.width = Math.min(layer.chunkSize, layer.width - x);
+    chunk.height = Math.min(layer.chunkSize, layer.height - y);
+    chunk
+      .getContext("2d")
+      .drawImage(
+        image,
+        x,
+        y,
+        chunk.width,
+        chunk.height,
+        0,
+        0,
+        chunk.width,
+        chunk.height
+      );
+    return chunk;
+  }
+
+  // Client-side walk animation, driven by how each avatar actually moves
+  // on screen. The server's facing and animationFrame are only hints.
+  function createAnimation() {
+    return {
+      lastX: null, // Position last frame
+      lastY: null,
+      vx: 0, // Smoothed on-screen velocity, px/s
+      vy: 0,
+      moving: false,
+      step: 0, // Index into ANIM_WALK_CYCLE
+      elapsed: 0, // ms into the current walk frame or idle cycle
+      facing: "south",
+      frame: 0,
+      breath: 0, // 1 on the "breathing in" half of the idle cycle
+    };
+  }
+
+  function getAvatarTiming(avatarName) {
+    return (
+      state.avatars.byName[avatarName]?.timing || {
+        walkFrameMs: ANIM_WALK_FRAME_MS,
+        idleFrameMs: ANIM_IDLE_FRAME_MS,
+      }
     );
+  }
+
+  // Optional avatar.timing = { walkFrameMs, idleFrameMs }; anything missing
+  // or out of range falls back to the defaults
+  function sanitizeAvatarTiming(timing) {
+    const pick = (value, fallback) =>
+      Number.isFinite(value) && value >= 40 && value <= 5000 ? value : fallback;
+    return {
+      walkFrameMs: pick(timing?.walkFrameMs, ANIM_WALK_FRAME_MS),
+      idleFrameMs: pick(timing?.idleFrameMs, ANIM_IDLE_FRAME_MS),
+    };
+  }
+
+  // facing and serverFrame are what the server (or prediction) says; facing
+  // is used while standing, serverFrame to start a stride in step with it
+  function updateAnimation(anim, x, y, facing, serverFrame, timing, dt) {
+    const jumped =
+      anim.lastX === null ||
+      Math.hypot(x - anim.lastX, y - anim.lastY) > TELEPORT_DISTANCE;
+    const dx = jumped ? 0 : x - anim.lastX;
+    const dy = jumped ? 0 : y - anim.lastY;
+    anim.lastX = x;
+    anim.lastY = y;
+    if (!dt) return;
+
+    // Smoothed: predicted keyboard moves come in 15px steps, and remote
+    // positions only change when snapshots do
+    const blend = 1 - Math.exp(-dt / ANIM_VELOCITY_SMOOTHING_MS);
+    anim.vx += ((dx * 1000) / dt - anim.vx) * blend;
+    anim.vy += ((dy * 1000) / dt - anim.vy) * blend;
+    const speed = Math.hypot(anim.vx, anim.vy);
+
+    if (speed >= ANIM_MIN_SPEED) {
+      if (!anim.moving) {
+        anim.moving = true;
+        anim.elapsed = 0;
+        anim.step = Math.max(0, ANIM_WALK_CYCLE.indexOf(serverFrame));
+      }
+      anim.facing = walkFacing(anim.facing, anim.vx, anim.vy);
+      // Faster walkers step faster
+      anim.elapsed += dt * clamp(speed / ANIM_REFERENCE_SPEED, 0.5, 2);
+      while (anim.elapsed >= timing.walkFrameMs) {
+        anim.elapsed -= timing.walkFrameMs;
+        anim.step = (anim.step + 1) % ANIM_WALK_CYCLE.length;
+      }
+      anim.frame = ANIM_WALK_CYCLE[anim.step];
+      anim.breath = 0;
+      return;
+    }
+
+    if (anim.moving) {
+      anim.moving = false;
+      anim.elapsed = 0;
+    }
+    anim.facing = facing;
+    anim.frame = 0;
+    anim.elapsed += dt;
+    anim.breath = Math.floor(anim.elapsed / timing.idleFrameMs) % 2;
+  }
+
+  // facingFromVector() with some hysteresis, so walking near a diagonal
+  // doesn't flip between two facings every frame
+  function walkFacing(current, vx, vy) {
+    const along = {
+      east: vx,
+      west: -vx,
+      south: vy,
+      north: -vy,
+    }[current];
+    if (along > 0 && along >= 0.8 * Math.max(Math.abs(vx), Math.abs(vy))) {
+      return current;
+    }
+    return facingFromVector(vx, vy);
+  }
+
+  function updateAnimations(dt) {
+    for (const player of Object.values(state.otherPlayers.byId)) {
+      updateAnimation(
+        player.anim,
+        player.x,
+        player.y,
+        player.facing,
+        player.animationFrame,
+        getAvatarTiming(player.avatarName),
+        dt
+      );
+    }
+    if (state.me.ready) {
+      updateAnimation(
+        state.me.anim,
+        state.me.x,
+        state.me.y,
+        state.me.facing,
+        state.me.animationFrame,
+        getAvatarTiming(state.me.avatarName),
+        dt
+      );
+    }
+  }
+
+  function getAvatarFrame(avatarName, anim) {
+    const avatar = state.avatars.byName[avatarName];
+    if (!avatar) return null;
+
+    const frames = avatar.frames[anim.facing] || avatar.frames.south || [];
+    const idx = clamp(anim.frame, 0, Math.max(0, frames.length - 1));
     return frames[idx] || null;
   }
 
-  function drawNameLabel(text, xCenter, topY, paddingY = 4) {
+  function drawNameLabel(text, xCenter, topY, paddingY = 4, color = null) {
     ctx.font = "14px sans-serif";
     ctx.textBaseline = "top";
     const metrics = ctx.measureText(text);
@@ -232,113 +1221,383 @@
     ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
 
     // Text
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = color || "#ffffff";
     ctx.fillText(text, boxX + padX, boxY + paddingY);
-  }
 
-  function getPlayerCurrentFrame(player) {
-    const avatar = state.avatars.byName[player.avatarName];
-    if (!avatar) return null;
+    return boxY; // Top of the label, for anything stacked above it
+  }
 
-    let dir = player.facing || "south";
-    if (
-      dir !== "north" &&
-      dir !== "south" &&
-      dir !== "east" &&
-      dir !== "west"
-    ) {
-      dir = "south";
+  // Everything standing in the world, as entities:
+  // { id, x, y, frame, label, isMe } where x/y is the foot position in world
+  // px and frame an image drawn with its bottom center there. Instead of a
+  // frame an entity may have draw(screenX, screenY, zoom) returning the top
+  // of what it drew. label (and its labelColor) is optional.
+  function getEntities() {
+    const entities = [];
+    for (const player of getVisiblePlayers()) {
+      entities.push({
+        id: player.id,
+        x: player.x,
+        y: player.y,
+        frame: getAvatarFrame(player.avatarName, player.anim),
+        breath: player.anim.breath,
+        label: player.username,
+        labelColor: isFriend(player.username) ? FRIEND_COLOR : null,
+        silhouette: true, // Shown while the avatar loads
+      });
     }
-    const frames = avatar.frames[dir] || [];
-    const idx = clamp(
-      player.animationFrame | 0,
-      0,
-      Math.max(0, frames.length - 1)
-    );
-    return frames[idx] || null;
+    if (state.me.ready) {
+      entities.push({
+        id: state.me.id,
+        x: state.me.x,
+        y: state.me.y,
+        frame: getAvatarFrame(state.me.avatarName, state.me.anim),
+        breath: state.me.anim.breath,
+        label: state.me.username,
+        silhouette: true,
+        isMe: true,
+      });
+    }
+    entities.push(...Object.values(state.worldObjects.byId));
+    return entities;
   }
 
-  function drawPlayer(player) {
-    const frame = getPlayerCurrentFrame(player);
-    if (!frame || !frame.complete) return;
-
-    const frameW = frame.naturalWidth || frame.width;
-    const frameH = frame.naturalHeight || frame.height;
+  // Draws one entity's sprite; returns the top of it in screen px, or null
+  // if nothing was drawn
+  function drawEntitySprite(entity, screenX, screenY) {
+    const zoom = state.viewport.zoom;
+    if (entity.draw) return entity.draw(screenX, screenY, zoom);
+
+    const frame = entity.frame;
+    if (!frame || frame.complete === false) {
+      return entity.silhouette
+        ? drawAvatarSilhouette(screenX, screenY, zoom)
+        : null;
+    }
 
-    // Screen position relative to camera
-    const screenX = player.x - state.viewport.cameraX;
-    const screenY = player.y - state.viewport.cameraY;
+    const frameW = (frame.naturalWidth || frame.width) * zoom;
+    const frameH = (frame.naturalHeight || frame.height) * zoom;
 
-    // Only draw if player is visible on screen
+    // Only draw if visible on screen
     if (
       screenX < -frameW ||
       screenX > state.viewport.width + frameW ||
       screenY < -frameH ||
       screenY > state.viewport.height + frameH
     ) {
-      return; // Player is off-screen
+      debugHud.culled++;
+      return null;
     }
 
-    // Anchor avatar so feet are at (player.x, player.y)
+    // Anchor the frame so feet are at (x, y)
     const dx = Math.round(screenX - frameW / 2);
     const dy = Math.round(screenY - frameH);
+    // Idle breathing: squash by a pixel, feet stay put
+    const breathe = entity.breath ? Math.max(1, Math.round(zoom)) : 0;
 
     ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(frame, dx, dy);
-
-    // Name label above head
-    drawNameLabel(player.username, Math.round(screenX), dy);
+    ctx.drawImage(
+      frame,
+      dx,
+      dy + breathe,
+      Math.round(frameW),
+      Math.round(frameH) - breathe
+    );
+    return dy;
   }
 
-  function drawMe() {
-    if (!state.me.ready) return;
+  // Draws all entities back to front by foot y. Returns what was drawn, for
+  // drawEntityLabels().
+  function drawEntitySprites() {
+    const entities = getEntities().sort(
+      (a, b) => a.y - b.y || (a.isMe ? 1 : 0) - (b.isMe ? 1 : 0)
+    );
+
+    const drawn = [];
+    debugHud.culled = 0;
+    for (const entity of entities) {
+      const { x: screenX, y: screenY } = worldToScreen(entity.x, entity.y);
+      const top = drawEntitySprite(entity, screenX, screenY);
+      if (top !== null && top !== undefined) {
+        drawn.push({
+          entity,
+          x: Math.round(screenX),
+          top,
+          bottom: Math.round(screenY),
+        });
+      }
+    }
+    debugHud.drawn = drawn.length;
+    return drawn;
+  }
 
-    const frame = getMyCurrentFrame();
-    if (!frame || !frame.complete) return;
+  // Name labels go on top in a pass of their own so a sprite (or roof) never
+  // hides one. Returns where each label ended up.
+  function drawEntityLabels(drawn) {
+    const anchors = [];
+    for (const { entity, x, top } of drawn) {
+      if (!entity.label) continue;
+      const labelTop = drawNameLabel(
+        entity.label,
+        x,
+        top,
+        undefined,
+        entity.labelColor
+      );
+      anchors.push({ id: entity.id, x, top: labelTop });
+    }
+    return anchors;
+  }
 
-    const frameW = frame.naturalWidth || frame.width;
-    const frameH = frame.naturalHeight || frame.height;
+  // Speech bubbles: recent chat lines drawn above the speaker's name label
+  function addSpeechBubble(playerId, text) {
+    if (!playerId || !text.trim()) return;
+    if (!speechBubbles[playerId]) speechBubbles[playerId] = [];
+
+    const bubbles = speechBubbles[playerId];
+    const display = text.startsWith("/me ") ? `*${text.slice(4)}*` : text;
+    const lifetime = clamp(
+      BUBBLE_BASE_LIFETIME_MS + display.length * BUBBLE_MS_PER_CHAR,
+      BUBBLE_BASE_LIFETIME_MS,
+      BUBBLE_MAX_LIFETIME_MS
+    );
+    bubbles.push({
+      text: display,
+      lines: null,
+      createdAt: worldNow(),
+      lifetime,
+    });
+    if (bubbles.length > BUBBLE_MAX_STACK) bubbles.shift();
+  }
 
-    // Screen position relative to camera
-    const screenX = state.me.x - state.viewport.cameraX;
-    const screenY = state.me.y - state.viewport.cameraY;
+  function wrapBubbleText(text) {
+    ctx.font = BUBBLE_FONT;
+    const lines = [];
+    let line = "";
 
-    // Anchor avatar so feet are at (me.x, me.y)
-    const dx = Math.round(screenX - frameW / 2);
-    const dy = Math.round(screenY - frameH);
+    const pushWord = (word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || ctx.measureText(candidate).width <= BUBBLE_MAX_WIDTH) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+      // Hard-break words longer than a whole line
+      while (
+        ctx.measureText(line).width > BUBBLE_MAX_WIDTH &&
+        line.length > 1
+      ) {
+        let cut = line.length - 1;
+        while (
+          cut > 1 &&
+          ctx.measureText(line.slice(0, cut)).width > BUBBLE_MAX_WIDTH
+        ) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    };
 
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(frame, dx, dy);
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+      pushWord(word);
+    }
+    if (line) lines.push(line);
 
-    // Name label above head
-    drawNameLabel(state.me.username, Math.round(screenX), dy);
+    if (lines.length > BUBBLE_MAX_LINES) {
+      lines.length = BUBBLE_MAX_LINES;
+      lines[BUBBLE_MAX_LINES - 1] += "…";
+    }
+    return lines;
   }
 
-  function updatePlayerInterpolation() {
-    const now = Date.now();
-    const interpolationSpeed = 0.1; // How fast to interpolate (0-1)
+  // anchors = [{ id, x, top }] in screen space: x is the sprite center and
+  // top the top of its name label
+  function drawSpeechBubbles(anchors) {
+    const now = worldNow();
+    const groups = [];
+
+    ctx.font = BUBBLE_FONT;
+    for (const anchor of anchors) {
+      const bubbles = (speechBubbles[anchor.id] || []).filter(
+        (bubble) => now - bubble.createdAt < bubble.lifetime
+      );
+      if (bubbles.length === 0) {
+        delete speechBubbles[anchor.id];
+        continue;
+      }
+      speechBubbles[anchor.id] = bubbles;
+
+      // Lay out the stack, newest at the bottom
+      let height = 0;
+      let width = 0;
+      const items = bubbles.map((bubble) => {
+        if (!bubble.lines) bubble.lines = wrapBubbleText(bubble.text);
+        const textWidth = Math.max(
+          ...bubble.lines.map((l) => ctx.measureText(l).width)
+        );
+        const item = {
+          bubble,
+          w: Math.ceil(textWidth) + BUBBLE_PADDING * 2,
+          h: bubble.lines.length * BUBBLE_LINE_HEIGHT + BUBBLE_PADDING * 2,
+        };
+        width = Math.max(width, item.w);
+        height += item.h + BUBBLE_GAP;
+        return item;
+      });
+      height -= BUBBLE_GAP;
+
+      groups.push({
+        anchor,
+        items,
+        x: anchor.x - width / 2,
+        bottom: anchor.top - BUBBLE_TAIL,
+        w: width,
+        h: height,
+      });
+    }
 
-    for (const player of Object.values(state.otherPlayers.byId)) {
-      if (player.targetX !== undefined && player.targetY !== undefined) {
-        // Smooth interpolation towards target position
-        const dx = player.targetX - player.x;
-        const dy = player.targetY - player.y;
-
-        if (Math.abs(dx) > 0.5 || Math.abs(dy) > 0.5) {
-          player.x += dx * interpolationSpeed;
-          player.y += dy * interpolationSpeed;
-        } else {
-          // Snap to target if very close
-          player.x = player.targetX;
-          player.y = player.targetY;
+    // Keep stacks from overlapping: place the lowest on screen first, then
+    // push each following stack up until it's clear of the placed ones
+    groups.sort((a, b) => b.bottom - a.bottom);
+    const placed = [];
+    for (const group of groups) {
+      let moved = true;
+      while (moved) {
+        moved = false;
+        for (const other of placed) {
+          const overlaps =
+            group.x < other.x + other.w &&
+            group.x + group.w > other.x &&
+            group.bottom - group.h < other.bottom &&
+            group.bottom > other.bottom - other.h;
+          if (overlaps) {
+            group.bottom = other.bottom - other.h - BUBBLE_GAP;
+            moved = true;
+          }
         }
       }
+      placed.push(group);
+    }
+
+    ctx.save();
+    ctx.font = BUBBLE_FONT;
+    ctx.textBaseline = "top";
+    for (const group of groups) {
+      const { anchor } = group;
+      const newest = group.items[group.items.length - 1].bubble;
+
+      // Tail from the stack down to the speaker (longer if we moved it up)
+      ctx.globalAlpha = getBubbleAlpha(newest, now);
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(Math.round(anchor.x), Math.round(group.bottom));
+      ctx.lineTo(Math.round(anchor.x), Math.round(anchor.top));
+      ctx.stroke();
+
+      let bottom = group.bottom;
+      for (let i = group.items.length - 1; i >= 0; i--) {
+        const item = group.items[i];
+        const bx = Math.round(anchor.x - item.w / 2);
+        const by = Math.round(bottom - item.h);
+        ctx.globalAlpha = getBubbleAlpha(item.bubble, now);
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.92)";
+        ctx.beginPath();
+        ctx.roundRect(bx, by, item.w, item.h, 6);
+        ctx.fill();
+
+        ctx.fillStyle = "#111111";
+        item.bubble.lines.forEach((line, j) => {
+          ctx.fillText(
+            line,
+            bx + BUBBLE_PADDING,
+            by + BUBBLE_PADDING + j * BUBBLE_LINE_HEIGHT
+          );
+        });
+        bottom = by - BUBBLE_GAP;
+      }
+    }
+    ctx.restore();
+  }
+
+  function getBubbleAlpha(bubble, now) {
+    const remaining = bubble.lifetime - (now - bubble.createdAt);
+    return clamp(remaining / BUBBLE_FADE_MS, 0, 1);
+  }
+
+  function pushPlayerSnapshot(player, x, y, isMoving, t) {
+    const snapshots = player.snapshots;
+    const last = snapshots[snapshots.length - 1];
+
+    if (last && Math.hypot(x - last.x, y - last.y) > TELEPORT_DISTANCE) {
+      // Teleport: don't slide across the map
+      snapshots.length = 0;
+    } else if (last && t - last.t > INTERPOLATION_DELAY_MS * 2) {
+      // First move after standing still: start from where they stood a
+      // moment ago rather than blending across the whole idle gap
+      snapshots.push({
+        t: t - INTERPOLATION_DELAY_MS,
+        x: last.x,
+        y: last.y,
+        isMoving: false,
+      });
+    }
+
+    snapshots.push({ t, x, y, isMoving });
+    if (snapshots.length > MAX_SNAPSHOTS) {
+      snapshots.splice(0, snapshots.length - MAX_SNAPSHOTS);
+    }
+  }
+
+  function samplePlayerSnapshots(snapshots, renderTime) {
+    if (snapshots.length === 0) return null;
+    if (renderTime <= snapshots[0].t) return snapshots[0];
+
+    // Linear interpolation between the two snapshots around renderTime
+    for (let i = 0; i < snapshots.length - 1; i++) {
+      const a = snapshots[i];
+      const b = snapshots[i + 1];
+      if (renderTime <= b.t) {
+        const f = b.t > a.t ? (renderTime - a.t) / (b.t - a.t) : 1;
+        return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+      }
     }
+
+    // Newest snapshot is late: keep going along the last velocity for a
+    // bounded time, unless the player had stopped
+    const last = snapshots[snapshots.length - 1];
+    const prev = snapshots[snapshots.length - 2];
+    if (!last.isMoving || !prev || last.t <= prev.t) return last;
+
+    const ahead = Math.min(renderTime - last.t, MAX_EXTRAPOLATION_MS);
+    const f = ahead / (last.t - prev.t);
+    return {
+      x: last.x + (last.x - prev.x) * f,
+      y: last.y + (last.y - prev.y) * f,
+    };
   }
 
-  function drawOtherPlayers() {
+  function updatePlayerInterpolation() {
+    // Draw remote players slightly in the past so there are usually two
+    // snapshots to blend between, independent of frame rate
+    const renderTime = worldNow() - INTERPOLATION_DELAY_MS;
+
     for (const player of Object.values(state.otherPlayers.byId)) {
-      drawPlayer(player);
+      const snapshots = player.snapshots;
+
+      // Drop snapshots we've fully rendered past (keep one behind renderTime)
+      while (snapshots.length > 2 && snapshots[1].t <= renderTime) {
+        snapshots.shift();
+      }
+
+      const sample = samplePlayerSnapshots(snapshots, renderTime);
+      if (sample) {
+        player.x = sample.x;
+        player.y = sample.y;
+      }
     }
   }
 
@@ -348,453 +1607,4848 @@
 
     if (!state.world.ready) return;
 
+    // A replay moves the clock (and the world) along
+    if (replay.active) advanceReplay();
+
     // Update smooth interpolation for other players
     updatePlayerInterpolation();
 
-    drawWorld();
-    drawOtherPlayers(); // Draw other players first (behind me)
-    drawMe(); // Draw me on top
-
-    // Update minimap to show current positions
+    // Advance my predicted position; the camera eases after it
+    updatePrediction();
+    const now = performance.now();
+    const frameDt = camera.lastFrameTime
+      ? Math.min(now - camera.lastFrameTime, 100)
+      : undefined;
+    camera.lastFrameTime = now;
+    updateCamera(frameDt);
+    updateAnimations(frameDt);
+    updateRegionHud();
+
+    prefetchChunks(frameDt);
+    drawChunkLayer(state.world.ground, true);
+    drawWalkabilityOverlay();
+    drawDebugGrid();
+    drawRoute();
+    const drawn = drawEntitySprites();
+    drawChunkLayer(state.world.overhead, false); // Roofs and canopies hide avatars
+    const anchors = drawEntityLabels(drawn);
+    drawSpeechBubbles(anchors);
+    drawOffscreenIndicators();
+    drawPredictionDebug();
+    drawDebugOverlays(drawn);
+
+    // Update minimap (redraws only when something visibly moved)
     updateMinimap();
   }
 
-  function startRenderLoop() {
-    function loop() {
-      render();
-      requestAnimationFrame(loop);
+  // Debug HUD. Counters are bumped where things happen and rolled into
+  // per-second rates about once a second.
+  function countFrame(frameStart, renderEnd) {
+    if (debugHud.lastFrameTime) {
+      const frameTime = frameStart - debugHud.lastFrameTime;
+      debugHud.frames++;
+      debugHud.frameTotal += frameTime;
+      debugHud.frameWorst = Math.max(debugHud.frameWorst, frameTime);
+      debugHud.renderTotal += renderEnd - frameStart;
     }
-    requestAnimationFrame(loop);
+    debugHud.lastFrameTime = frameStart;
   }
 
-  function setupKeyboardInput() {
-    const keyMap = {
-      ArrowUp: "up",
-      ArrowDown: "down",
-      ArrowLeft: "left",
-      ArrowRight: "right",
-      KeyW: "up",
-      KeyS: "down",
-      KeyA: "left",
-      KeyD: "right",
-    };
-
-    function handleKeyDown(event) {
-      const direction = keyMap[event.key];
-      if (direction && !keysPressed[direction]) {
-        keysPressed[direction] = true;
-        event.preventDefault();
-      }
+  function countIncoming(data, size) {
+    debugHud.msgsIn++;
+    debugHud.bytesIn += size;
+    debugHud.bytesTotal += size;
+    if (data?.action !== "players_moved") return;
+
+    const now = performance.now();
+    if (debugHud.lastPlayersMoved) {
+      const interval = now - debugHud.lastPlayersMoved;
+      debugHud.broadcastInterval = debugHud.broadcastInterval
+        ? debugHud.broadcastInterval * 0.9 + interval * 0.1
+        : interval;
     }
+    debugHud.lastPlayersMoved = now;
+  }
 
-    function handleKeyUp(event) {
-      const direction = keyMap[event.key];
-      if (direction) {
-        keysPressed[direction] = false;
+  function rollDebugStats(now) {
+    const elapsed = now - debugHud.windowStart;
+    if (elapsed < 1000) return;
+
+    const frames = debugHud.frames;
+    debugHud.fps = (frames * 1000) / elapsed;
+    debugHud.frameMs = frames ? debugHud.frameTotal / frames : 0;
+    debugHud.frameWorstMs = debugHud.frameWorst;
+    debugHud.renderMs = frames ? debugHud.renderTotal / frames : 0;
+    debugHud.inPerSecond = (debugHud.msgsIn * 1000) / elapsed;
+    debugHud.outPerSecond = (debugHud.msgsOut * 1000) / elapsed;
+    debugHud.bytesPerSecond = (debugHud.bytesIn * 1000) / elapsed;
+
+    debugHud.frames = 0;
+    debugHud.frameTotal = 0;
+    debugHud.frameWorst = 0;
+    debugHud.renderTotal = 0;
+    debugHud.msgsIn = 0;
+    debugHud.msgsOut = 0;
+    debugHud.bytesIn = 0;
+    debugHud.windowStart = now;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${Math.round(bytes)} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  function updateDebugHud(now) {
+    rollDebugStats(now);
+    if (!debugHud.open || now - debugHud.lastRefresh < DEBUG_HUD_REFRESH_MS) {
+      return;
+    }
+    debugHud.lastRefresh = now;
+
+    const sinceMoved = debugHud.lastPlayersMoved
+      ? `${Math.round(now - debugHud.lastPlayersMoved)} ms ago`
+      : "never";
+    const broadcastRate = debugHud.broadcastInterval
+      ? `${(1000 / debugHud.broadcastInterval).toFixed(1)}/s`
+      : "?";
+    const hud = debugHud;
+    const { cameraX, cameraY, zoom } = state.viewport;
+    const ms = (value) => value.toFixed(1);
+    const lines = [
+      `FPS ${Math.round(hud.fps)}, frame ${ms(hud.frameMs)} ms`,
+      `  worst ${ms(hud.frameWorstMs)} ms, render ${ms(hud.renderMs)} ms`,
+      `msgs/s in ${ms(hud.inPerSecond)}, out ${ms(hud.outPerSecond)}`,
+      `received ${formatBytes(hud.bytesPerSecond)}/s`,
+      `  ${formatBytes(hud.bytesTotal)} total`,
+      `players_moved ${sinceMoved}, ~${broadcastRate}`,
+      `entities drawn ${hud.drawn}, culled ${hud.culled}`,
+      `me ${Math.round(state.me.x)}, ${Math.round(state.me.y)}`,
+      `camera ${Math.round(cameraX)}, ${Math.round(cameraY)}`,
+      `  zoom ${zoom.toFixed(2)}x`,
+    ];
+    document.getElementById("debug-hud-stats").textContent = lines.join("\n");
+  }
+
+  function setDebugHudOpen(open) {
+    debugHud.open = open;
+    document.getElementById("debug-hud").hidden = !open;
+    debugHud.lastRefresh = 0; // Fill it in on the next frame
+  }
+
+  function setupDebugHud() {
+    document.querySelectorAll("[data-debug-overlay]").forEach((checkbox) => {
+      checkbox.checked = debugHud.overlays[checkbox.dataset.debugOverlay];
+      checkbox.addEventListener("change", () => {
+        debugHud.overlays[checkbox.dataset.debugOverlay] = checkbox.checked;
+        canvas.focus();
+      });
+    });
+  }
+
+  // World grid under the avatars; chunk edges stronger, with coordinates
+  function drawDebugGrid() {
+    if (!debugHud.open || !debugHud.overlays.grid) return;
+
+    const { cameraX, cameraY, width, height, zoom } = state.viewport;
+    const x0 = Math.max(0, Math.floor(cameraX / DEBUG_GRID_SIZE));
+    const x1 = Math.min(
+      state.world.width,
+      Math.ceil((cameraX + width / zoom) / DEBUG_GRID_SIZE) * DEBUG_GRID_SIZE
+    );
+    const y0 = Math.max(0, Math.floor(cameraY / DEBUG_GRID_SIZE));
+    const y1 = Math.min(
+      state.world.height,
+      Math.ceil((cameraY + height / zoom) / DEBUG_GRID_SIZE) * DEBUG_GRID_SIZE
+    );
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "top";
+    for (let x = x0 * DEBUG_GRID_SIZE; x <= x1; x += DEBUG_GRID_SIZE) {
+      const chunkEdge = x % CHUNK_SIZE === 0;
+      const sx = Math.round(worldToScreen(x, 0).x) + 0.5;
+      ctx.strokeStyle = chunkEdge
+        ? "rgba(255, 255, 0, 0.6)"
+        : "rgba(255, 255, 255, 0.2)";
+      ctx.beginPath();
+      ctx.moveTo(sx, 0);
+      ctx.lineTo(sx, height);
+      ctx.stroke();
+      if (chunkEdge) {
+        ctx.fillStyle = "rgba(255, 255, 0, 0.9)";
+        ctx.fillText(String(x), sx + 2, 2);
+      }
+    }
+    for (let y = y0 * DEBUG_GRID_SIZE; y <= y1; y += DEBUG_GRID_SIZE) {
+      const chunkEdge = y % CHUNK_SIZE === 0;
+      const sy = Math.round(worldToScreen(0, y).y) + 0.5;
+      ctx.strokeStyle = chunkEdge
+        ? "rgba(255, 255, 0, 0.6)"
+        : "rgba(255, 255, 255, 0.2)";
+      ctx.beginPath();
+      ctx.moveTo(0, sy);
+      ctx.lineTo(width, sy);
+      ctx.stroke();
+      if (chunkEdge) {
+        ctx.fillStyle = "rgba(255, 255, 0, 0.9)";
+        ctx.fillText(String(y), 2, sy + 2);
+      }
+    }
+    ctx.restore();
+  }
+
+  // drawn = what drawEntitySprites() returned
+  function drawDebugOverlays(drawn) {
+    if (!debugHud.open) return;
+    const { boxes, targets } = debugHud.overlays;
+    if (!boxes && !targets) return;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    if (boxes) {
+      for (const { entity, x, top, bottom } of drawn) {
+        const zoom = state.viewport.zoom;
+        const frame = entity.frame;
+        const width = frame
+          ? (frame.naturalWidth || frame.width) * zoom
+          : (bottom - top) / 2;
+        ctx.strokeStyle = entity.isMe ? "#69f0ae" : "#40c4ff";
+        ctx.strokeRect(
+          Math.round(x - width / 2) + 0.5,
+          top + 0.5,
+          Math.round(width),
+          bottom - top
+        );
+      }
+    }
+    if (targets) {
+      // Where each remote player is drawn vs. its latest server position
+      ctx.strokeStyle = "#ff5252";
+      for (const player of Object.values(state.otherPlayers.byId)) {
+        const from = worldToScreen(player.x, player.y);
+        const to = worldToScreen(player.targetX, player.targetY);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.moveTo(to.x - 5, to.y - 5);
+        ctx.lineTo(to.x + 5, to.y + 5);
+        ctx.moveTo(to.x + 5, to.y - 5);
+        ctx.lineTo(to.x - 5, to.y + 5);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
+  function startRenderLoop() {
+    function loop() {
+      const frameStart = performance.now();
+      render();
+      const renderEnd = performance.now();
+      countFrame(frameStart, renderEnd);
+      updateDebugHud(renderEnd);
+      updatePlayerList(renderEnd);
+      requestAnimationFrame(loop);
+    }
+    requestAnimationFrame(loop);
+  }
+
+  // Key bindings: action -> [primary, secondary] event.code values (null =
+  // unbound). event.code follows the physical key, so WASD works on any layout.
+  function loadKeyBindings() {
+    const bindings = {};
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)) || {};
+    } catch (e) {
+      console.warn("Failed to read key bindings", e);
+    }
+    for (const [action, defaults] of Object.entries(DEFAULT_KEY_BINDINGS)) {
+      const codes = stored[action];
+      bindings[action] =
+        Array.isArray(codes) && codes.length === 2 ? codes : [...defaults];
+    }
+    return bindings;
+  }
+
+  function storeKeyBindings() {
+    try {
+      localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(keyBindings));
+    } catch (e) {
+      console.warn("Failed to save key bindings", e);
+    }
+  }
+
+  function getBoundDirection(code) {
+    for (const [direction, codes] of Object.entries(keyBindings)) {
+      if (codes.includes(code)) return direction;
+    }
+    return null;
+  }
+
+  function formatKeyCode(code) {
+    if (!code) return "—";
+    if (code.startsWith("Key")) return code.slice(3);
+    if (code.startsWith("Digit")) return code.slice(5);
+    const arrows = {
+      ArrowUp: "↑",
+      ArrowDown: "↓",
+      ArrowLeft: "←",
+      ArrowRight: "→",
+    };
+    return arrows[code] || code;
+  }
+
+  function isTextEntryTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName;
+    return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+  }
+
+  function releaseAllKeys() {
+    for (const direction of Object.keys(keysPressed)) {
+      keysPressed[direction] = false;
+    }
+  }
+
+  // Merges keyboard, gamepad and touch into the directions held right now
+  function getActiveDirections() {
+    return Object.keys(keysPressed).filter(
+      (direction) =>
+        keysPressed[direction] ||
+        gamepadPressed[direction] ||
+        touchPressed[direction]
+    );
+  }
+
+  // Maps an analog stick (x/y in -1..1) onto the four server directions in
+  // 8 sectors, so diagonals hold two directions
+  function applyStickToDirections(pressed, x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < deadzone) return;
+    const threshold = magnitude * Math.sin(Math.PI / 8);
+    if (x < -threshold) pressed.left = true;
+    if (x > threshold) pressed.right = true;
+    if (y < -threshold) pressed.up = true;
+    if (y > threshold) pressed.down = true;
+  }
+
+  function pollGamepads() {
+    for (const direction of Object.keys(gamepadPressed)) {
+      gamepadPressed[direction] = false;
+    }
+    if (!navigator.getGamepads) return;
+
+    for (const pad of navigator.getGamepads()) {
+      if (!pad) continue;
+      applyStickToDirections(
+        gamepadPressed,
+        pad.axes[0] || 0,
+        pad.axes[1] || 0,
+        GAMEPAD_DEADZONE
+      );
+
+      // Standard mapping: buttons 12-15 are the d-pad
+      const isPressed = (index) => !!pad.buttons[index]?.pressed;
+      if (isPressed(12)) gamepadPressed.up = true;
+      if (isPressed(13)) gamepadPressed.down = true;
+      if (isPressed(14)) gamepadPressed.left = true;
+      if (isPressed(15)) gamepadPressed.right = true;
+    }
+  }
+
+  function handleBindingCapture(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation(); // The key is being bound, not used
+    const { action, slot } = bindingCapture;
+    bindingCapture = null;
+
+    if (event.code === "Backspace" || event.code === "Delete") {
+      keyBindings[action][slot] = null;
+    } else if (event.code !== "Escape") {
+      // A key drives one action only
+      for (const other of Object.keys(keyBindings)) {
+        keyBindings[other] = keyBindings[other].map((code) =>
+          code === event.code ? null : code
+        );
+      }
+      keyBindings[action][slot] = event.code;
+    }
+
+    storeKeyBindings();
+    releaseAllKeys();
+    renderBindingTable();
+  }
+
+  function setupKeyboardInput() {
+    function handleKeyDown(event) {
+      if (bindingCapture) {
+        handleBindingCapture(event);
+        return;
+      }
+
+      // Typing in chat, the lobby or the editor must not move us
+      if (isTextEntryTarget(event.target)) return;
+
+      // Movement keys take over from a clicked path or following someone;
+      // chat, the map and other shortcuts leave them going
+      if (getBoundDirection(event.code)) {
+        stopFollowing();
+        cancelRoute();
+      }
+
+      if (event.key === "F3") {
+        setDebugHudOpen(!debugHud.open);
+        event.preventDefault();
+        return;
+      }
+
+      if (event.key === "F4") {
+        prediction.debug = !prediction.debug;
+        event.preventDefault();
+        return;
+      }
+
+      if (event.key === "F6") {
+        walkability.debug = !walkability.debug;
+        event.preventDefault();
+        return;
+      }
+
+      const direction = getBoundDirection(event.code);
+      if (direction) {
+        keysPressed[direction] = true;
         event.preventDefault();
       }
     }
 
-    // Add event listeners to document to ensure we capture keys even when canvas doesn't have focus
+    function handleKeyUp(event) {
+      // Always release, even in a text field, so keys never stick
+      const direction = getBoundDirection(event.code);
+      if (direction) {
+        keysPressed[direction] = false;
+        if (!isTextEntryTarget(event.target)) event.preventDefault();
+      }
+    }
+
+    // Listen on document so we get keys whether or not the canvas has focus
     document.addEventListener("keydown", handleKeyDown);
     document.addEventListener("keyup", handleKeyUp);
 
-    // Also add to canvas for when it has focus
-    canvas.addEventListener("keydown", handleKeyDown);
-    canvas.addEventListener("keyup", handleKeyUp);
+    // Stop walking when focus moves into a text field or away from the page
+    document.addEventListener("focusin", (event) => {
+      if (isTextEntryTarget(event.target)) releaseAllKeys();
+    });
+    window.addEventListener("blur", releaseAllKeys);
 
     // Make canvas focusable so it can receive key events
     canvas.setAttribute("tabindex", "0");
 
-    // Add click-to-move functionality
-    canvas.addEventListener("click", (event) => {
-      if (!canSendMoveCommands || !ws || ws.readyState !== WebSocket.OPEN)
-        return;
+    // Add click-to-move functionality
+    canvas.addEventListener("click", (event) => {
+      if (!canSendMoveCommands || !isConnected()) return;
+
+      const rect = canvas.getBoundingClientRect();
+      const clickX = event.clientX - rect.left;
+      const clickY = event.clientY - rect.top;
+
+      // A free-look drag, pinch or painting the mask isn't a click-to-move
+      if (camera.freeLook || camera.dragged || walkability.painter.open) return;
+
+      // Convert screen coordinates to world coordinates (accounts for zoom)
+      const point = screenToWorld(clickX, clickY);
+      const target = clampToWorld(point.x, point.y);
+
+      // Walk there around obstacles; shift-click adds it to the path instead
+      stopFollowing();
+      if (event.shiftKey && clickRoute) {
+        queueRoute(target);
+      } else if (startRoute(target)) {
+        resetCameraPan();
+      }
+    });
+  }
+
+  function setupTouchJoystick() {
+    const joystick = document.getElementById("touch-joystick");
+    const knob = document.getElementById("touch-joystick-knob");
+    if (!joystick || !knob) return;
+
+    // Only shown on touch screens (or once someone touches the screen)
+    const show = () => {
+      joystick.hidden = false;
+    };
+    if (window.matchMedia("(pointer: coarse)").matches) show();
+    window.addEventListener("touchstart", show, { once: true, passive: true });
+
+    let activePointerId = null;
+
+    function update(event) {
+      const rect = joystick.getBoundingClientRect();
+      const radius = rect.width / 2;
+      let x = (event.clientX - rect.left - radius) / radius;
+      let y = (event.clientY - rect.top - radius) / radius;
+      const length = Math.hypot(x, y);
+      if (length > 1) {
+        x /= length;
+        y /= length;
+      }
+      knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+
+      for (const direction of Object.keys(touchPressed)) {
+        touchPressed[direction] = false;
+      }
+      applyStickToDirections(touchPressed, x, y, JOYSTICK_DEADZONE);
+    }
+
+    function release(event) {
+      if (event.pointerId !== activePointerId) return;
+      activePointerId = null;
+      knob.style.transform = "";
+      for (const direction of Object.keys(touchPressed)) {
+        touchPressed[direction] = false;
+      }
+    }
+
+    joystick.addEventListener("pointerdown", (event) => {
+      activePointerId = event.pointerId;
+      joystick.setPointerCapture(event.pointerId);
+      update(event);
+      event.preventDefault();
+    });
+    joystick.addEventListener("pointermove", (event) => {
+      if (event.pointerId === activePointerId) update(event);
+    });
+    joystick.addEventListener("pointerup", release);
+    joystick.addEventListener("pointercancel", release);
+  }
+
+  // Controls panel: rebinding and gamepad status
+  function renderBindingTable() {
+    const table = document.getElementById("binding-table");
+    if (!table) return;
+    table.replaceChildren();
+
+    for (const action of Object.keys(DEFAULT_KEY_BINDINGS)) {
+      const row = table.insertRow();
+      row.insertCell().textContent = ACTION_LABELS[action];
+
+      for (let slot = 0; slot < 2; slot++) {
+        const capturing =
+          bindingCapture?.action === action && bindingCapture?.slot === slot;
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = capturing
+          ? "Press a key…"
+          : formatKeyCode(keyBindings[action][slot]);
+        button.classList.toggle("active", capturing);
+        button.addEventListener("click", () => {
+          bindingCapture = { action, slot };
+          button.blur(); // Enter/Space should be capturable, not re-click
+          renderBindingTable();
+        });
+        row.insertCell().appendChild(button);
+      }
+    }
+  }
+
+  function renderGamepadStatus() {
+    const status = document.getElementById("gamepad-status");
+    if (!status) return;
+    const pads = navigator.getGamepads
+      ? [...navigator.getGamepads()].filter(Boolean)
+      : [];
+    status.textContent =
+      pads.length > 0
+        ? `Connected: ${pads.map((pad) => pad.id).join(", ")}`
+        : "No gamepad connected. Press a button on it to connect.";
+  }
+
+  function setupControlsPanel() {
+    const panel = document.getElementById("controls-panel");
+    if (!panel) return;
+
+    const setOpen = (open) => {
+      panel.hidden = !open;
+      bindingCapture = null;
+      if (open) {
+        renderBindingTable();
+        renderGamepadStatus();
+      }
+    };
+
+    document
+      .getElementById("controls-button")
+      .addEventListener("click", () => setOpen(panel.hidden));
+    document
+      .getElementById("controls-close")
+      .addEventListener("click", () => setOpen(false));
+    document.getElementById("bindings-reset").addEventListener("click", () => {
+      for (const [action, defaults] of Object.entries(DEFAULT_KEY_BINDINGS)) {
+        keyBindings[action] = [...defaults];
+      }
+      storeKeyBindings();
+      renderBindingTable();
+    });
+
+    window.addEventListener("gamepadconnected", renderGamepadStatus);
+    window.addEventListener("gamepaddisconnected", renderGamepadStatus);
+  }
+
+  // Movement intent: all held directions collapse into one vector, and we
+  // only talk to the server when that intent changes
+  function sendMovementMessage(msg) {
+    if (!sendMessage(msg)) return false;
+    movementStats.sent++;
+    return true;
+  }
+
+  function countLegacyMoveMessages(activeDirections, now) {
+    // What the old one-packet-per-key loop would have sent this tick
+    if (activeDirections.length === 0) {
+      movementStats.legacy++; // It sent "stop" on every idle tick
+    } else if (now - movementStats.legacyLastMoveTime >= MOVE_THROTTLE_MS) {
+      movementStats.legacy += activeDirections.length;
+      movementStats.legacyLastMoveTime = now;
+    }
+
+    // Roll the counters into per-second rates
+    const elapsed = now - movementStats.windowStart;
+    if (elapsed >= 1000) {
+      movementStats.sentPerSecond = (movementStats.sent * 1000) / elapsed;
+      movementStats.legacyPerSecond = (movementStats.legacy * 1000) / elapsed;
+      movementStats.sent = 0;
+      movementStats.legacy = 0;
+      movementStats.windowStart = now;
+    }
+  }
+
+  function updateMovementIntent(activeDirections, now) {
+    const held = (direction) => activeDirections.includes(direction);
+    const ix = (held("right") ? 1 : 0) - (held("left") ? 1 : 0);
+    const iy = (held("down") ? 1 : 0) - (held("up") ? 1 : 0);
+
+    if (ix === 0 && iy === 0) {
+      // Released (or opposite keys cancel out): exactly one stop
+      if (movementIntent) {
+        movementIntent = null;
+        if (sendMovementMessage({ action: "stop" })) predictStop();
+      }
+      return;
+    }
+
+    const changed =
+      !movementIntent || movementIntent.x !== ix || movementIntent.y !== iy;
+    movementIntent = { x: ix, y: iy };
+    clickRoute = null; // Keys (or stick) take over from a clicked path
+    stopFollowing();
+    if (changed) resetCameraPan();
+
+    if (ix === 0 || iy === 0) {
+      // Straight line: the server moves one step per directional move, so a
+      // held direction keeps its cadence
+      if (!changed && now - lastMoveTime < MOVE_THROTTLE_MS) return;
+      const direction =
+        ix > 0 ? "right" : ix < 0 ? "left" : iy > 0 ? "down" : "up";
+      const vector = DIRECTION_VECTORS[direction];
+      if (
+        !isWalkable(
+          prediction.x + vector.x * PREDICTION_STEP_PX,
+          prediction.y + vector.y * PREDICTION_STEP_PX
+        )
+      ) {
+        // Blocked: turn to face it but don't step
+        state.me.facing = vector.facing;
+        return;
+      }
+      if (sendMovementMessage({ action: "move", direction })) {
+        predictDirectionalMove(direction);
+        lastMoveTime = now;
+      }
+      return;
+    }
+
+    // Diagonal: walk to a point a short way ahead, and only re-send when the
+    // intent changes or we're about to reach that point
+    const target = prediction.clickTarget;
+    const nearTarget =
+      !target ||
+      Math.hypot(target.x - prediction.x, target.y - prediction.y) <
+        MOVE_LOOKAHEAD_PX / 2;
+    if (!changed && !nearTarget) return;
+
+    // Stop short of blocked cells; against a wall, slide along it
+    const reach = MOVE_LOOKAHEAD_PX / Math.SQRT2;
+    const candidates = [
+      [ix, iy],
+      [ix, 0],
+      [0, iy],
+    ].map(([cx, cy]) => {
+      const end = clampToWorld(
+        prediction.x + cx * reach,
+        prediction.y + cy * reach
+      );
+      const reachable = walkableLineEnd(
+        prediction.x,
+        prediction.y,
+        end.x,
+        end.y
+      );
+      return { x: Math.round(reachable.x), y: Math.round(reachable.y) };
+    });
+    const ahead = candidates.find(
+      (point) =>
+        Math.hypot(point.x - prediction.x, point.y - prediction.y) >=
+        walkability.cellSize
+    );
+    // Pinned against the world edge or a corner; nothing to walk toward
+    if (!ahead) return;
+
+    if (sendMovementMessage({ action: "move", x: ahead.x, y: ahead.y })) {
+      predictClickMove(ahead.x, ahead.y);
+    }
+  }
+
+  function startMovementLoop() {
+    if (movementLoopId) return; // Already running
+
+    function movementLoop() {
+      if (!isConnected()) {
+        movementLoopId = setTimeout(movementLoop, 100); // Retry in 100ms
+        return;
+      }
+
+      const now = Date.now();
+
+      // Check which directions are held (keyboard, gamepad or touch)
+      pollGamepads();
+      const activeDirections = getActiveDirections();
+      countLegacyMoveMessages(activeDirections, now);
+
+      if (canSendMoveCommands) {
+        updateMovementIntent(activeDirections, now);
+        updateFollow(now);
+        followRoute();
+      }
+
+      // Continue the loop
+      movementLoopId = setTimeout(movementLoop, 50); // ~20fps - less aggressive
+    }
+
+    movementLoop();
+  }
+
+  function stopMovementLoop() {
+    if (movementLoopId) {
+      clearTimeout(movementLoopId);
+      movementLoopId = null;
+    }
+    // The next connection starts from "not moving"
+    movementIntent = null;
+    clickRoute = null;
+  }
+
+  // Client-side prediction for my avatar. Inputs move `prediction` right
+  // away; server positions reconcile it, and any difference is kept as a
+  // visual correction offset that decays instead of teleporting.
+  function resetPrediction(x, y) {
+    prediction.x = x;
+    prediction.y = y;
+    prediction.correctionX = 0;
+    prediction.correctionY = 0;
+    prediction.pendingInputs = [];
+    prediction.clickTarget = null;
+    prediction.lastServerX = x;
+    prediction.lastServerY = y;
+    prediction.lastFrameTime = 0;
+  }
+
+  function facingFromVector(dx, dy) {
+    if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? "east" : "west";
+    return dy > 0 ? "south" : "north";
+  }
+
+  function clampToWorld(x, y) {
+    return {
+      x: clamp(x, 0, state.world.width || x),
+      y: clamp(y, 0, state.world.height || y),
+    };
+  }
+
+  function predictDirectionalMove(direction) {
+    const vector = DIRECTION_VECTORS[direction];
+    if (!vector) return;
+
+    const next = clampToWorld(
+      prediction.x + vector.x * PREDICTION_STEP_PX,
+      prediction.y + vector.y * PREDICTION_STEP_PX
+    );
+    const dx = next.x - prediction.x;
+    const dy = next.y - prediction.y;
+
+    prediction.clickTarget = null;
+    state.me.facing = vector.facing;
+    // Blocked by the world edge: the server won't move us either
+    if (dx === 0 && dy === 0) return;
+
+    prediction.x = next.x;
+    prediction.y = next.y;
+    prediction.pendingInputs.push({ dx, dy, sentAt: performance.now() });
+  }
+
+  function predictClickMove(x, y) {
+    prediction.clickTarget = clampToWorld(x, y);
+  }
+
+  function predictStop() {
+    prediction.clickTarget = null;
+  }
+
+  function applyPredictionCorrection(x, y) {
+    const errorX = prediction.x - x;
+    const errorY = prediction.y - y;
+    const error = Math.hypot(errorX, errorY);
+    if (error < 0.5) return;
+
+    if (error > PREDICTION_SNAP_DISTANCE) {
+      // Too far off to blend (e.g. server teleport); just jump
+      prediction.correctionX = 0;
+      prediction.correctionY = 0;
+    } else {
+      // Keep the on-screen position where it is and blend the error away
+      prediction.correctionX += errorX;
+      prediction.correctionY += errorY;
+    }
+    prediction.x = x;
+    prediction.y = y;
+  }
+
+  function reconcilePrediction(serverX, serverY) {
+    const now = performance.now();
+
+    // The protocol has no input acks, so an input counts as applied once the
+    // server has moved at least half a step in its direction (oldest first)
+    let movedX = serverX - prediction.lastServerX;
+    let movedY = serverY - prediction.lastServerY;
+    while (prediction.pendingInputs.length > 0) {
+      const input = prediction.pendingInputs[0];
+      const along = movedX * input.dx + movedY * input.dy;
+      if (along < (input.dx * input.dx + input.dy * input.dy) / 2) break;
+      movedX -= input.dx;
+      movedY -= input.dy;
+      prediction.pendingInputs.shift();
+    }
+
+    // Inputs the server never reflected (dropped or rejected) expire
+    prediction.pendingInputs = prediction.pendingInputs.filter(
+      (input) => now - input.sentAt < PREDICTION_INPUT_TIMEOUT_MS
+    );
+    prediction.lastServerX = serverX;
+    prediction.lastServerY = serverY;
+
+    const target = prediction.clickTarget;
+    if (target) {
+      if (Math.hypot(target.x - serverX, target.y - serverY) < 1) {
+        prediction.clickTarget = null;
+      } else if (
+        Math.hypot(prediction.x - serverX, prediction.y - serverY) <=
+        PREDICTION_CLICK_TOLERANCE
+      ) {
+        // The server walks the same line a little behind us; that's fine
+        return;
+      }
+      applyPredictionCorrection(serverX, serverY);
+      return;
+    }
+
+    // Replay what the server hasn't seen yet on top of its position
+    let x = serverX;
+    let y = serverY;
+    for (const input of prediction.pendingInputs) {
+      x += input.dx;
+      y += input.dy;
+    }
+    applyPredictionCorrection(x, y);
+  }
+
+  function updatePrediction() {
+    if (!state.me.hasServerPosition) return;
+
+    const now = performance.now();
+    const dt = prediction.lastFrameTime
+      ? Math.min(now - prediction.lastFrameTime, 100)
+      : 0;
+    prediction.lastFrameTime = now;
+
+    // Walk toward a click target at the server's pace
+    const target = prediction.clickTarget;
+    if (target) {
+      const dx = target.x - prediction.x;
+      const dy = target.y - prediction.y;
+      const dist = Math.hypot(dx, dy);
+      const step = (PREDICTION_WALK_SPEED * dt) / 1000;
+      if (dist <= step) {
+        prediction.x = target.x;
+        prediction.y = target.y;
+      } else if (dist > 0) {
+        prediction.x += (dx / dist) * step;
+        prediction.y += (dy / dist) * step;
+        state.me.facing = facingFromVector(dx, dy);
+      }
+    }
+
+    // Exponential decay of the correction offset
+    const decay = Math.exp(-dt / PREDICTION_CORRECTION_MS);
+    prediction.correctionX *= decay;
+    prediction.correctionY *= decay;
+    if (Math.abs(prediction.correctionX) < 0.1) prediction.correctionX = 0;
+    if (Math.abs(prediction.correctionY) < 0.1) prediction.correctionY = 0;
+
+    state.me.x = prediction.x + prediction.correctionX;
+    state.me.y = prediction.y + prediction.correctionY;
+  }
+
+  function drawPredictionDebug() {
+    if (!prediction.debug || !state.me.hasServerPosition) return;
+
+    const markers = [
+      {
+        label: "server",
+        color: "#ff5252",
+        x: state.me.serverX,
+        y: state.me.serverY,
+      },
+      {
+        label: "predicted",
+        color: "#69f0ae",
+        x: prediction.x,
+        y: prediction.y,
+      },
+    ];
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "top";
+
+    // Line from server to predicted position shows how far ahead we are
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.beginPath();
+    const from = worldToScreen(markers[0].x, markers[0].y);
+    const to = worldToScreen(markers[1].x, markers[1].y);
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    markers.forEach((marker, i) => {
+      const { x: sx, y: sy } = worldToScreen(marker.x, marker.y);
+      ctx.strokeStyle = marker.color;
+      ctx.strokeRect(Math.round(sx) - 8, Math.round(sy) - 8, 16, 16);
+      ctx.fillStyle = marker.color;
+      ctx.fillText(
+        marker.label,
+        Math.round(sx) + 10,
+        Math.round(sy) - 8 + i * 14
+      );
+    });
+
+    const meOnScreen = worldToScreen(state.me.x, state.me.y);
+    const textX = Math.round(meOnScreen.x) + 10;
+    const textY = Math.round(meOnScreen.y) + 20;
+    const saved = Math.max(
+      0,
+      movementStats.legacyPerSecond - movementStats.sentPerSecond
+    );
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(
+      `pending inputs: ${prediction.pendingInputs.length}`,
+      textX,
+      textY
+    );
+    ctx.fillText(
+      `move msgs/s: ${movementStats.sentPerSecond.toFixed(1)} ` +
+        `(per-key model: ${movementStats.legacyPerSecond.toFixed(1)}, ` +
+        `saved: ${saved.toFixed(1)})`,
+      textX,
+      textY + 14
+    );
+    ctx.restore();
+  }
+
+  // Walkability mask. Loaded from world-walkability.json (rows of "." and
+  // "#") or world-walkability.png (dark = blocked), or a painter draft.
+  function parseWalkabilityJson(data) {
+    const cellSize = data && data.cellSize;
+    if (!Number.isInteger(cellSize) || cellSize <= 0) {
+      throw new Error("cellSize must be a positive integer");
+    }
+    if (
+      !Array.isArray(data.rows) ||
+      !data.rows.every((row) => typeof row === "string")
+    ) {
+      throw new Error("rows must be an array of strings");
+    }
+
+    const rows = data.rows.length;
+    const cols = Math.max(0, ...data.rows.map((row) => row.length));
+    const blocked = new Uint8Array(cols * rows);
+    data.rows.forEach((row, r) => {
+      for (let c = 0; c < row.length; c++) {
+        if (row[c] === "#") blocked[r * cols + c] = 1;
+      }
+    });
+    return { cellSize, cols, rows, blocked };
+  }
+
+  function serializeWalkability() {
+    const rows = [];
+    for (let r = 0; r < walkability.rows; r++) {
+      let row = "";
+      for (let c = 0; c < walkability.cols; c++) {
+        row += walkability.blocked[r * walkability.cols + c] ? "#" : ".";
+      }
+      rows.push(row);
+    }
+    return { cellSize: walkability.cellSize, rows };
+  }
+
+  // Scales the mask image onto the world's grid, whatever size it is
+  function walkabilityFromImage(image) {
+    const cellSize = WALK_CELL_SIZE;
+    const cols = Math.ceil(state.world.width / cellSize);
+    const rows = Math.ceil(state.world.height / cellSize);
+
+    const off = document.createElement("canvas");
+    off.width = cols;
+    off.height = rows;
+    const octx = off.getContext("2d");
+    octx.drawImage(image, 0, 0, cols, rows);
+    const pixels = octx.getImageData(0, 0, cols, rows).data;
+
+    const blocked = new Uint8Array(cols * rows);
+    for (let i = 0; i < blocked.length; i++) {
+      const [r, g, b, a] = pixels.subarray(i * 4, i * 4 + 4);
+      if (a >= 128 && (r + g + b) / 3 < 128) blocked[i] = 1;
+    }
+    return { cellSize, cols, rows, blocked };
+  }
+
+  function createEmptyWalkability() {
+    const cols = Math.ceil(state.world.width / WALK_CELL_SIZE);
+    const rows = Math.ceil(state.world.height / WALK_CELL_SIZE);
+    return {
+      cellSize: WALK_CELL_SIZE,
+      cols,
+      rows,
+      blocked: new Uint8Array(cols * rows),
+    };
+  }
+
+  function applyWalkability(grid, source) {
+    walkability.cellSize = grid.cellSize;
+    walkability.cols = grid.cols;
+    walkability.rows = grid.rows;
+    walkability.blocked = grid.blocked;
+    walkability.source = source;
+    walkability.overlay = null;
+    renderWalkPainterStatus();
+  }
+
+  async function loadWalkability() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(WALK_DRAFT_KEY));
+      if (draft) {
+        applyWalkability(parseWalkabilityJson(draft), "draft");
+        return;
+      }
+    } catch (e) {
+      console.warn("Ignoring unreadable walkability draft", e);
+    }
+    await loadWalkabilityFiles();
+  }
+
+  async function loadWalkabilityFiles() {
+    try {
+      const response = await fetch(WALK_MASK_JSON);
+      if (response.ok) {
+        applyWalkability(parseWalkabilityJson(await response.json()), "json");
+        return;
+      }
+    } catch (e) {
+      console.warn(`No usable ${WALK_MASK_JSON}`, e);
+    }
+
+    try {
+      const image = await loadImage(WALK_MASK_PNG);
+      applyWalkability(walkabilityFromImage(image), "png");
+    } catch (e) {
+      // No mask at all: everything is walkable
+      applyWalkability(
+        { cellSize: WALK_CELL_SIZE, cols: 0, rows: 0, blocked: null },
+        "none"
+      );
+    }
+  }
+
+  function isCellBlocked(col, row) {
+    if (!walkability.blocked) return false;
+    // The mask may not cover the whole world; the rest is walkable
+    if (col < 0 || row < 0 || col >= walkability.cols) return false;
+    if (row >= walkability.rows) return false;
+    return walkability.blocked[row * walkability.cols + col] === 1;
+  }
+
+  function isWalkable(x, y) {
+    return !isCellBlocked(
+      Math.floor(x / walkability.cellSize),
+      Math.floor(y / walkability.cellSize)
+    );
+  }
+
+  // How far along the line from (x0, y0) to (x1, y1) we can walk before
+  // hitting a blocked cell; returns that point
+  function walkableLineEnd(x0, y0, x1, y1) {
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    const step = walkability.cellSize / 4;
+    let last = { x: x0, y: y0 };
+    for (let d = step; d < length + step; d += step) {
+      const t = Math.min(d / length, 1);
+      const point = { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t };
+      if (!isWalkable(point.x, point.y)) return last;
+      last = point;
+    }
+    return last;
+  }
+
+  function isLineWalkable(x0, y0, x1, y1) {
+    const end = walkableLineEnd(x0, y0, x1, y1);
+    // The interpolated last point can be off from (x1, y1) by rounding
+    return Math.hypot(end.x - x1, end.y - y1) < 0.5;
+  }
+
+  // Pathfinding: A* over the walkability mask's cells (8 neighbours, no
+  // cutting corners), then straightened wherever a direct line is clear.
+  // Returns waypoints after the start; if the goal can't be reached, the
+  // path ends at the closest reachable cell instead.
+  function findPath(from, to) {
+    if (!walkability.blocked || isLineWalkable(from.x, from.y, to.x, to.y)) {
+      return [to];
+    }
+
+    const { cellSize, cols, rows } = walkability;
+    const cellOf = (p) => ({
+      col: clamp(Math.floor(p.x / cellSize), 0, cols - 1),
+      row: clamp(Math.floor(p.y / cellSize), 0, rows - 1),
+    });
+    const start = cellOf(from);
+    const goal = cellOf(to);
+    // Standing on a blocked cell (e.g. spawned inside a wall): just go
+    if (isCellBlocked(start.col, start.row)) return [to];
+
+    // Octile distance: exact on an empty 8-neighbour grid
+    const estimate = (col, row) => {
+      const dx = Math.abs(col - goal.col);
+      const dy = Math.abs(row - goal.row);
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const startIndex = start.row * cols + start.col;
+    const goalIndex = goal.row * cols + goal.col;
+    const cost = new Float64Array(cols * rows).fill(Infinity);
+    const cameFrom = new Int32Array(cols * rows).fill(-1);
+    const closed = new Uint8Array(cols * rows);
+    const open = [];
+    cost[startIndex] = 0;
+    heapPush(open, estimate(start.col, start.row), startIndex);
+    let best = startIndex;
+    let bestEstimate = Infinity;
+
+    while (open.length > 0) {
+      const index = heapPop(open);
+      if (closed[index]) continue; // Stale entry; a cheaper one came first
+      closed[index] = 1;
+
+      const col = index % cols;
+      const row = (index - col) / cols;
+      const remaining = estimate(col, row);
+      if (remaining < bestEstimate) {
+        best = index;
+        bestEstimate = remaining;
+      }
+      if (index === goalIndex) break;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          if ((dx === 0 && dy === 0) || c < 0 || r < 0) continue;
+          if (c >= cols || r >= rows || isCellBlocked(c, r)) continue;
+          if (
+            dx &&
+            dy &&
+            (isCellBlocked(col + dx, row) || isCellBlocked(col, row + dy))
+          ) {
+            continue;
+          }
+          const next = r * cols + c;
+          const nextCost = cost[index] + (dx && dy ? Math.SQRT2 : 1);
+          if (nextCost >= cost[next]) continue;
+          cost[next] = nextCost;
+          cameFrom[next] = index;
+          heapPush(open, nextCost + estimate(c, r), next);
+        }
+      }
+    }
+
+    // Walk back from the goal (or closest cell) to the start
+    const cells = [];
+    for (let index = best; index !== startIndex; index = cameFrom[index]) {
+      const col = index % cols;
+      cells.unshift({
+        x: (col + 0.5) * cellSize,
+        y: ((index - col) / cols + 0.5) * cellSize,
+      });
+    }
+    if (best === goalIndex && isWalkable(to.x, to.y)) {
+      cells[cells.length - 1] = to;
+    }
+    if (cells.length === 0) return [];
+
+    // Skip every cell we can see past
+    const waypoints = [];
+    let current = from;
+    let i = 0;
+    while (i < cells.length) {
+      let furthest = i;
+      for (let j = cells.length - 1; j > i; j--) {
+        if (isLineWalkable(current.x, current.y, cells[j].x, cells[j].y)) {
+          furthest = j;
+          break;
+        }
+      }
+      current = cells[furthest];
+      waypoints.push(current);
+      i = furthest + 1;
+    }
+    return waypoints;
+  }
+
+  // Binary min-heap of { priority, value } for the A* open set
+  function heapPush(heap, priority, value) {
+    heap.push({ priority, value });
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority <= heap[i].priority) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < heap.length &&
+          heap[left].priority < heap[smallest].priority
+        ) {
+          smallest = left;
+        }
+        if (
+          right < heap.length &&
+          heap[right].priority < heap[smallest].priority
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+
+  // Click-to-move routes: the path is walked by sending the next waypoint
+  // as the predicted position reaches the current one. The last waypoint of
+  // each click is a destination (shift-click queues more of them).
+  function toRouteWaypoints(path) {
+    return path.map((point, i) => ({
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+      destination: i === path.length - 1,
+    }));
+  }
+
+  function startRoute(to) {
+    clickRoute = null;
+    const path = findPath({ x: prediction.x, y: prediction.y }, to);
+    if (path.length === 0) {
+      markUnreachable(to);
+      return false;
+    }
+    clickRoute = { waypoints: toRouteWaypoints(path), current: null };
+    return sendNextWaypoint();
+  }
+
+  function queueRoute(to) {
+    if (!clickRoute) return startRoute(to);
+    const { waypoints, current } = clickRoute;
+    const from =
+      waypoints.length > 0 ? waypoints[waypoints.length - 1] : current;
+    const path = findPath(from, to);
+    if (path.length === 0) {
+      markUnreachable(to);
+      return false;
+    }
+    waypoints.push(...toRouteWaypoints(path));
+    return true;
+  }
+
+  function markUnreachable(to) {
+    unreachableMark = { x: to.x, y: to.y, at: performance.now() };
+  }
+
+  function cancelRoute() {
+    if (!clickRoute) return;
+    clickRoute = null;
+    if (sendMovementMessage({ action: "stop" })) predictStop();
+  }
+
+  function sendNextWaypoint() {
+    const next = clickRoute.waypoints.shift();
+    if (!sendMessage({ action: "move", x: next.x, y: next.y })) {
+      clickRoute = null;
+      return false;
+    }
+    clickRoute.current = next;
+    predictClickMove(next.x, next.y);
+    return true;
+  }
+
+  function followRoute() {
+    if (!clickRoute) return;
+    const { current } = clickRoute;
+    if (Math.hypot(current.x - prediction.x, current.y - prediction.y) >= 1) {
+      return;
+    }
+    if (clickRoute.waypoints.length === 0) {
+      clickRoute = null;
+    } else {
+      sendNextWaypoint();
+    }
+  }
+
+  // The planned path as a dashed line from me, with a marker on each
+  // destination
+  function drawRoute() {
+    drawUnreachableMark();
+    if (!clickRoute || !state.me.ready) return;
+
+    const points = [clickRoute.current, ...clickRoute.waypoints].map(
+      (point) => ({ ...worldToScreen(point.x, point.y), point })
+    );
+    const me = worldToScreen(state.me.x, state.me.y);
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(me.x, me.y);
+    for (const { x, y } of points) ctx.lineTo(x, y);
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    ctx.strokeStyle = "#ffeb3b";
+    for (const { x, y, point } of points) {
+      if (!point.destination) continue;
+      ctx.beginPath();
+      ctx.ellipse(x, y, 10, 5, 0, 0, Math.PI * 2);
+      ctx.moveTo(x - 4, y - 4);
+      ctx.lineTo(x + 4, y + 4);
+      ctx.moveTo(x + 4, y - 4);
+      ctx.lineTo(x - 4, y + 4);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // A red cross that fades out where a click couldn't be reached
+  function drawUnreachableMark() {
+    if (!unreachableMark) return;
+    const age = performance.now() - unreachableMark.at;
+    if (age > UNREACHABLE_MARK_MS) {
+      unreachableMark = null;
+      return;
+    }
+    const { x, y } = worldToScreen(unreachableMark.x, unreachableMark.y);
+    ctx.save();
+    ctx.globalAlpha = 1 - age / UNREACHABLE_MARK_MS;
+    ctx.strokeStyle = "#ff5252";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x - 8, y - 8);
+    ctx.lineTo(x + 8, y + 8);
+    ctx.moveTo(x + 8, y - 8);
+    ctx.lineTo(x - 8, y + 8);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawWalkabilityOverlay() {
+    if (!walkability.debug && !walkability.painter.open) return;
+    if (!walkability.blocked) return;
+
+    if (!walkability.overlay) {
+      // One pixel per cell, scaled up when drawn
+      const overlay = document.createElement("canvas");
+      overlay.width = walkability.cols;
+      overlay.height = walkability.rows;
+      const octx = overlay.getContext("2d");
+      octx.fillStyle = "rgb(255, 0, 0)";
+      for (let r = 0; r < walkability.rows; r++) {
+        for (let c = 0; c < walkability.cols; c++) {
+          if (isCellBlocked(c, r)) octx.fillRect(c, r, 1, 1);
+        }
+      }
+      walkability.overlay = overlay;
+    }
+
+    const origin = worldToScreen(0, 0);
+    const scale = walkability.cellSize * state.viewport.zoom;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(
+      walkability.overlay,
+      Math.round(origin.x),
+      Math.round(origin.y),
+      Math.round(walkability.cols * scale),
+      Math.round(walkability.rows * scale)
+    );
+    ctx.restore();
+  }
+
+  // Painter: paints mask cells on the map while its panel is open
+  function paintWalkability(worldX, worldY) {
+    if (!walkability.blocked)
+      applyWalkability(createEmptyWalkability(), "draft");
+
+    const { painter, cellSize } = walkability;
+    const value = painter.brush === "block" ? 1 : 0;
+    const radius = painter.size - 1;
+    const centerCol = Math.floor(worldX / cellSize);
+    const centerRow = Math.floor(worldY / cellSize);
+    const octx = walkability.overlay && walkability.overlay.getContext("2d");
+
+    for (let r = centerRow - radius; r <= centerRow + radius; r++) {
+      for (let c = centerCol - radius; c <= centerCol + radius; c++) {
+        if (c < 0 || r < 0 || c >= walkability.cols || r >= walkability.rows) {
+          continue;
+        }
+        walkability.blocked[r * walkability.cols + c] = value;
+        if (!octx) continue;
+        if (value) {
+          octx.fillStyle = "rgb(255, 0, 0)";
+          octx.fillRect(c, r, 1, 1);
+        } else {
+          octx.clearRect(c, r, 1, 1);
+        }
+      }
+    }
+    walkability.source = "draft";
+  }
+
+  function storeWalkabilityDraft() {
+    try {
+      localStorage.setItem(
+        WALK_DRAFT_KEY,
+        JSON.stringify(serializeWalkability())
+      );
+    } catch (e) {
+      console.error("Failed to save walkability draft", e);
+    }
+    renderWalkPainterStatus();
+  }
+
+  function renderWalkPainterStatus() {
+    const status = document.getElementById("walk-status");
+    if (!status) return;
+
+    const sources = {
+      none: "No mask; everything is walkable.",
+      json: `Loaded ${WALK_MASK_JSON}.`,
+      png: `Loaded ${WALK_MASK_PNG}.`,
+      draft: "Using your unsaved draft (stored in this browser).",
+    };
+    const blockedCount = walkability.blocked
+      ? walkability.blocked.reduce((sum, cell) => sum + cell, 0)
+      : 0;
+    status.textContent = `${sources[walkability.source] || ""} ${
+      walkability.cols
+    }x${walkability.rows} cells, ${blockedCount} blocked.`;
+  }
+
+  function exportWalkability() {
+    const grid = walkability.blocked
+      ? serializeWalkability()
+      : { cellSize: WALK_CELL_SIZE, rows: [] };
+    const blob = new Blob([JSON.stringify(grid, null, 1)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, WALK_MASK_JSON);
+  }
+
+  function downloadBlob(blob, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  async function importWalkability(file) {
+    if (file.type === "image/png") {
+      const url = URL.createObjectURL(file);
+      try {
+        applyWalkability(walkabilityFromImage(await loadImage(url)), "draft");
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    } else {
+      applyWalkability(
+        parseWalkabilityJson(JSON.parse(await file.text())),
+        "draft"
+      );
+    }
+    storeWalkabilityDraft();
+  }
+
+  function setWalkPainterOpen(open) {
+    document.getElementById("walk-painter").hidden = !open;
+    walkability.painter.open = open;
+    walkability.painter.painting = false;
+    canvas.classList.toggle("painting", open);
+    if (open) renderWalkPainterStatus();
+  }
+
+  function setupWalkPainter() {
+    const panel = document.getElementById("walk-painter");
+    if (!panel) return;
+    const painter = walkability.painter;
+
+    document
+      .getElementById("walk-painter-button")
+      .addEventListener("click", () => setWalkPainterOpen(panel.hidden));
+    document
+      .getElementById("walk-painter-close")
+      .addEventListener("click", () => setWalkPainterOpen(false));
+
+    panel.querySelectorAll("[data-walk-brush]").forEach((button) => {
+      button.addEventListener("click", () => {
+        painter.brush = button.dataset.walkBrush;
+        panel.querySelectorAll("[data-walk-brush]").forEach((other) => {
+          other.classList.toggle("active", other === button);
+        });
+      });
+    });
+    document
+      .getElementById("walk-brush-size")
+      .addEventListener("input", (event) => {
+        painter.size = Number(event.target.value) || 1;
+      });
+
+    document
+      .getElementById("walk-export")
+      .addEventListener("click", exportWalkability);
+    document
+      .getElementById("walk-import")
+      .addEventListener("change", async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+          await importWalkability(file);
+        } catch (e) {
+          document.getElementById(
+            "walk-status"
+          ).textContent = `Couldn't import ${file.name}: ${e.message}`;
+        }
+        event.target.value = "";
+      });
+    document
+      .getElementById("walk-discard")
+      .addEventListener("click", async () => {
+        localStorage.removeItem(WALK_DRAFT_KEY);
+        await loadWalkabilityFiles();
+      });
+
+    // Paint with the primary button; Space still drags the view
+    const paintAt = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const point = screenToWorld(
+        event.clientX - rect.left,
+        event.clientY - rect.top
+      );
+      paintWalkability(point.x, point.y);
+    };
+    canvas.addEventListener("pointerdown", (event) => {
+      if (!painter.open || camera.freeLook || event.button !== 0) return;
+      painter.painting = true;
+      canvas.setPointerCapture(event.pointerId);
+      paintAt(event);
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (painter.painting) paintAt(event);
+    });
+    const finish = () => {
+      if (!painter.painting) return;
+      painter.painting = false;
+      storeWalkabilityDraft();
+    };
+    canvas.addEventListener("pointerup", finish);
+    canvas.addEventListener("pointercancel", finish);
+  }
+
+  function updateUI() {
+    // Update player count
+    const totalPlayers = getVisiblePlayers().length + 1; // +1 for me
+    const playerCountEl = document.getElementById("player-count");
+    if (playerCountEl) {
+      playerCountEl.textContent = `Players: ${totalPlayers}`;
+    }
+
+    // Update connection status
+    const connectionStatusEl = document.getElementById("connection-status");
+    if (connectionStatusEl) {
+      if (replay.active) {
+        connectionStatusEl.textContent = "Replay";
+        connectionStatusEl.className = "replay";
+      } else if (isConnected()) {
+        connectionStatusEl.textContent = "Connected";
+        connectionStatusEl.className = "connected";
+      } else if (reconnectAttempt > 0) {
+        connectionStatusEl.textContent = `Reconnecting (attempt ${reconnectAttempt})…`;
+        connectionStatusEl.className = "reconnecting";
+      } else {
+        connectionStatusEl.textContent = "Disconnected";
+        connectionStatusEl.className = "disconnected";
+      }
+    }
+  }
+
+  // Player list: one row per other player, kept while they're online and
+  // re-sorted on every refresh
+  function markRosterDirty() {
+    roster.dirty = true;
+  }
+
+  function getRosterStatus(player, now) {
+    const idleFor = now - player.lastUpdate;
+    if (idleFor < ROSTER_IDLE_MS) return { moving: true, text: "moving" };
+    const seconds = Math.floor(idleFor / 1000);
+    return {
+      moving: false,
+      text:
+        seconds < 60 ? `idle ${seconds}s` : `idle ${Math.floor(seconds / 60)}m`,
+    };
+  }
+
+  function compareRosterEntries(a, b) {
+    if (roster.sortBy === "distance") return a.distance - b.distance;
+    if (roster.sortBy === "status") {
+      // Moving first, then whoever stopped most recently
+      return b.player.lastUpdate - a.player.lastUpdate;
+    }
+    return a.player.username.localeCompare(b.player.username, undefined, {
+      sensitivity: "base",
+    });
+  }
+
+  function createRosterRow(player) {
+    const item = document.createElement("li");
+    const thumb = document.createElement("canvas");
+    thumb.width = ROSTER_THUMB_SIZE;
+    thumb.height = ROSTER_THUMB_SIZE;
+    const name = document.createElement("span");
+    name.className = "roster-name";
+    const distance = document.createElement("span");
+    distance.className = "roster-distance";
+    const status = document.createElement("span");
+    status.className = "roster-status";
+    const note = document.createElement("div");
+    note.className = "roster-note";
+    const noteInput = document.createElement("input");
+    noteInput.type = "text";
+    noteInput.maxLength = 200;
+    noteInput.placeholder = "Private note";
+    noteInput.hidden = true;
+    const follow = document.createElement("button");
+    follow.type = "button";
+    follow.hidden = replay.active; // Nothing to walk with in a replay
+    const friend = createRosterButton("", () =>
+      setFriend(player.username, !isFriend(player.username))
+    );
+    const editNote = createRosterButton("✎", () => {
+      noteInput.value = getNote(player.username);
+      noteInput.hidden = false;
+      noteInput.focus();
+    });
+    editNote.title = "Edit note";
+    const block = createRosterButton("Block", () =>
+      setBlocked(player.username, true)
+    );
+    block.title = "Hide this player and their messages";
+
+    const details = document.createElement("div");
+    details.append(
+      name,
+      document.createElement("br"),
+      distance,
+      " · ",
+      status,
+      note,
+      noteInput
+    );
+    const actions = document.createElement("div");
+    actions.className = "roster-actions";
+    actions.append(follow, friend, editNote, block);
+    item.append(thumb, details, actions);
+    item.title = "Show on the map";
+
+    // Enter saves the note, Esc (or leaving the field) drops the edit
+    noteInput.addEventListener("click", (event) => event.stopPropagation());
+    noteInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        setNote(player.username, noteInput.value);
+        noteInput.hidden = true;
+        canvas.focus();
+      } else if (event.key === "Escape") {
+        noteInput.hidden = true;
+        canvas.focus();
+      }
+    });
+    noteInput.addEventListener("blur", () => {
+      noteInput.hidden = true;
+    });
+    item.addEventListener("click", () => {
+      const target = state.otherPlayers.byId[player.id];
+      if (target) lookAt(target.x, target.y);
+    });
+    follow.addEventListener("click", (event) => {
+      event.stopPropagation();
+      if (roster.followId === player.id) {
+        setFollowTarget(null);
+        cancelRoute();
+      } else {
+        setFollowTarget(player.id);
+      }
+    });
+    return {
+      item,
+      thumb,
+      thumbFrame: null,
+      name,
+      distance,
+      status,
+      note,
+      follow,
+      friend,
+    };
+  }
+
+  function createRosterButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.addEventListener("click", (event) => {
+      event.stopPropagation(); // The row itself locates the player
+      onClick();
+    });
+    return button;
+  }
+
+  // Cached south-facing standing frame, or the silhouette colour until then
+  function drawRosterThumb(row, player) {
+    const frame = getAvatarFrame(player.avatarName, {
+      facing: "south",
+      frame: 0,
+    });
+    if (frame === row.thumbFrame && frame) return;
+    row.thumbFrame = frame;
+
+    const tctx = row.thumb.getContext("2d");
+    tctx.clearRect(0, 0, ROSTER_THUMB_SIZE, ROSTER_THUMB_SIZE);
+    if (!frame || frame.complete === false) {
+      row.thumbFrame = null; // Try again next refresh
+      tctx.fillStyle = "rgba(128, 128, 128, 0.6)";
+      tctx.fillRect(8, 4, 16, 24);
+      return;
+    }
+    const w = frame.naturalWidth || frame.width;
+    const h = frame.naturalHeight || frame.height;
+    const scale = Math.min(ROSTER_THUMB_SIZE / w, ROSTER_THUMB_SIZE / h);
+    tctx.imageSmoothingEnabled = false;
+    tctx.drawImage(
+      frame,
+      (ROSTER_THUMB_SIZE - w * scale) / 2,
+      (ROSTER_THUMB_SIZE - h * scale) / 2,
+      w * scale,
+      h * scale
+    );
+  }
+
+  // Called every frame; redraws at most every ROSTER_REFRESH_MS, and at
+  // least once a second so idle times keep counting
+  function updatePlayerList(now) {
+    if (!roster.open) return;
+    const due = roster.dirty
+      ? now - roster.lastRender >= ROSTER_REFRESH_MS
+      : now - roster.lastRender >= 1000;
+    if (!due) return;
+    roster.dirty = false;
+    roster.lastRender = now;
+    if (roster.socialDirty) {
+      roster.socialDirty = false;
+      renderSocialLists();
+    }
+
+    const players = getVisiblePlayers();
+    for (const [id, row] of roster.rows) {
+      const player = state.otherPlayers.byId[id];
+      if (!player || isBlocked(player.username)) {
+        row.item.remove();
+        roster.rows.delete(id);
+      }
+    }
+
+    const time = worldNow();
+    const entries = players.map((player) => ({
+      player,
+      distance: Math.hypot(player.x - state.me.x, player.y - state.me.y),
+    }));
+    entries.sort(compareRosterEntries);
+
+    const list = document.getElementById("player-list-entries");
+    entries.forEach(({ player, distance }, index) => {
+      let row = roster.rows.get(player.id);
+      if (!row) {
+        row = createRosterRow(player);
+        roster.rows.set(player.id, row);
+      }
+      const status = getRosterStatus(player, time);
+      row.name.textContent = player.username;
+      row.distance.textContent = `${Math.round(distance)} px`;
+      row.status.textContent = status.text;
+      row.status.classList.toggle("moving", status.moving);
+      row.note.textContent = getNote(player.username);
+      const following = roster.followId === player.id;
+      row.follow.textContent = following ? "Following" : "Follow";
+      row.follow.classList.toggle("active", following);
+      const friend = isFriend(player.username);
+      row.friend.textContent = friend ? "★" : "☆";
+      row.friend.title = friend ? "Remove friend" : "Add friend";
+      row.friend.classList.toggle("active", friend);
+      drawRosterThumb(row, player);
+      // Only move rows that are out of order, so a note being typed keeps focus
+      const current = list.children[index];
+      if (current !== row.item) list.insertBefore(row.item, current || null);
+    });
+    document.getElementById("player-list-empty").hidden = players.length > 0;
+  }
+
+  function setPlayerListOpen(open) {
+    roster.open = open;
+    document.getElementById("player-list").hidden = !open;
+    markRosterDirty();
+    roster.lastRender = 0;
+  }
+
+  function setupPlayerList() {
+    const panel = document.getElementById("player-list");
+    if (!panel) return;
+
+    document
+      .getElementById("player-list-button")
+      .addEventListener("click", () => setPlayerListOpen(panel.hidden));
+    document
+      .getElementById("player-list-close")
+      .addEventListener("click", () => setPlayerListOpen(false));
+    document
+      .getElementById("social-export")
+      .addEventListener("click", exportSocial);
+    document
+      .getElementById("social-import")
+      .addEventListener("change", async (event) => {
+        const file = event.target.files[0];
+        event.target.value = "";
+        if (!file) return;
+        try {
+          await importSocial(file);
+        } catch (e) {
+          addChatMessage(
+            "system",
+            `Couldn't import ${file.name}: ${e.message}`
+          );
+        }
+      });
+
+    const indicators = document.getElementById("indicator-mode");
+    indicators.value = indicatorMode;
+    indicators.addEventListener("change", () => {
+      setIndicatorMode(indicators.value);
+      canvas.focus();
+    });
+    const sort = document.getElementById("player-list-sort");
+    sort.value = roster.sortBy;
+    sort.addEventListener("change", () => {
+      roster.sortBy = sort.value;
+      markRosterDirty();
+      roster.lastRender = 0;
+      canvas.focus();
+    });
+  }
+
+  // Following: keep a click-to-move path toward another player, re-planned
+  // as they move. Moving myself in any other way stops it.
+  function setFollowTarget(playerId) {
+    roster.followId = playerId;
+    roster.followGoal = null;
+    roster.lastFollowPath = 0;
+    markRosterDirty();
+    if (playerId) resetCameraPan();
+  }
+
+  function stopFollowing() {
+    if (roster.followId) setFollowTarget(null);
+  }
+
+  // Called from the movement loop
+  function updateFollow(now) {
+    if (!roster.followId) return;
+    const player = state.otherPlayers.byId[roster.followId];
+    if (!player) {
+      stopFollowing();
+      return;
+    }
+
+    const target = { x: player.targetX, y: player.targetY };
+    if (
+      Math.hypot(target.x - prediction.x, target.y - prediction.y) <=
+      FOLLOW_DISTANCE
+    ) {
+      // Caught up; wait here until they move off
+      if (clickRoute) cancelRoute();
+      roster.followGoal = null;
+      return;
+    }
+
+    const goal = roster.followGoal;
+    if (
+      clickRoute &&
+      goal &&
+      Math.hypot(target.x - goal.x, target.y - goal.y) < FOLLOW_REPATH_DISTANCE
+    ) {
+      return;
+    }
+    if (now - roster.lastFollowPath < FOLLOW_REPATH_MS) return;
+    roster.lastFollowPath = now;
+    roster.followGoal = target;
+    startRoute(target);
+  }
+
+  // Off-screen indicators: one arrow per direction, pinned to the viewport
+  // border and pointing at where the player(s) are
+  function loadIndicatorMode() {
+    try {
+      const stored = localStorage.getItem(INDICATOR_MODE_KEY);
+      return INDICATOR_MODES.includes(stored) ? stored : "everyone";
+    } catch (e) {
+      return "everyone";
+    }
+  }
+
+  function setIndicatorMode(mode) {
+    indicatorMode = mode;
+    try {
+      localStorage.setItem(INDICATOR_MODE_KEY, mode);
+    } catch (e) {
+      console.warn("Failed to save indicator setting", e);
+    }
+  }
+
+  function wantsIndicator(player, now) {
+    if (indicatorMode === "friends") return isFriend(player.username);
+    if (indicatorMode === "chatted") {
+      return now - (player.lastChatAt || -Infinity) < INDICATOR_CHAT_RECENT_MS;
+    }
+    return indicatorMode === "everyone";
+  }
+
+  // Groups of off-screen players by direction from the screen center,
+  // nearest first within each group
+  function getOffscreenGroups() {
+    const { width, height } = state.viewport;
+    const now = worldNow();
+    const offscreen = [];
+    for (const player of getVisiblePlayers()) {
+      const screen = worldToScreen(player.x, player.y);
+      if (
+        screen.x >= 0 &&
+        screen.x <= width &&
+        screen.y >= 0 &&
+        screen.y <= height
+      ) {
+        continue;
+      }
+      if (!wantsIndicator(player, now)) continue;
+      offscreen.push({
+        player,
+        angle: Math.atan2(screen.y - height / 2, screen.x - width / 2),
+        distance: Math.hypot(player.x - state.me.x, player.y - state.me.y),
+      });
+    }
+    offscreen.sort((a, b) => a.angle - b.angle);
+
+    const groups = [];
+    for (const entry of offscreen) {
+      const group = groups[groups.length - 1];
+      if (group && entry.angle - group[0].angle < INDICATOR_GROUP_ANGLE) {
+        group.push(entry);
+      } else {
+        groups.push([entry]);
+      }
+    }
+    // The angle wraps at ±π, so the last group may continue the first
+    if (groups.length > 1) {
+      const first = groups[0];
+      const last = groups[groups.length - 1];
+      if (
+        first[0].angle + Math.PI * 2 - last[0].angle <
+        INDICATOR_GROUP_ANGLE
+      ) {
+        first.unshift(...groups.pop());
+      }
+    }
+    for (const group of groups) group.sort((a, b) => a.distance - b.distance);
+    return groups;
+  }
+
+  function drawOffscreenIndicators() {
+    if (indicatorMode === "off" || !state.me.ready) return;
+    const { width, height } = state.viewport;
+    const cx = width / 2;
+    const cy = height / 2;
+    const halfW = cx - INDICATOR_MARGIN;
+    const halfH = cy - INDICATOR_MARGIN;
+    if (halfW <= 0 || halfH <= 0) return;
+
+    ctx.save();
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "middle";
+    for (const group of getOffscreenGroups()) {
+      // Average direction of the group, clamped to the inset border
+      const dx = group.reduce((sum, e) => sum + Math.cos(e.angle), 0);
+      const dy = group.reduce((sum, e) => sum + Math.sin(e.angle), 0);
+      const angle = Math.atan2(dy, dx);
+      const scale = Math.min(
+        halfW / Math.abs(Math.cos(angle) || 1e-6),
+        halfH / Math.abs(Math.sin(angle) || 1e-6)
+      );
+      const x = cx + Math.cos(angle) * scale;
+      const y = cy + Math.sin(angle) * scale;
+
+      const nearest = group[0];
+      const friend = group.some((e) => isFriend(e.player.username));
+      const color = friend ? FRIEND_COLOR : "#ffffff";
+
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(angle);
+      ctx.fillStyle = color;
+      ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(12, 0);
+      ctx.lineTo(-6, -9);
+      ctx.lineTo(-6, 9);
+      ctx.closePath();
+      ctx.stroke();
+      ctx.fill();
+      ctx.restore();
+
+      // Label on the inside of the arrow, kept on screen
+      const more = group.length > 1 ? ` +${group.length - 1}` : "";
+      const text = `${nearest.player.username}${more} · ${Math.round(
+        nearest.distance
+      )} px`;
+      const textWidth = Math.ceil(ctx.measureText(text).width);
+      const labelX = clamp(
+        x - Math.cos(angle) * 22 - textWidth / 2,
+        4,
+        width - textWidth - 4
+      );
+      const labelY = clamp(y - Math.sin(angle) * 22, 10, height - 10);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(labelX - 4, labelY - 9, textWidth + 8, 18);
+      ctx.fillStyle = color;
+      ctx.fillText(text, labelX, labelY);
+    }
+    ctx.restore();
+  }
+
+  // Social: friends, blocked players and private notes, by username (the
+  // only thing that stays the same across sessions). Kept in localStorage
+  // as { friends: [name], blocked: [name], notes: { name: text } }.
+  function loadSocial() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(SOCIAL_KEY));
+    } catch (e) {
+      console.warn("Failed to read friends and blocks", e);
+    }
+    mergeSocial(stored);
+  }
+
+  // Adds what's in data (from storage or an import); returns how many
+  // entries were new
+  function mergeSocial(data) {
+    let added = 0;
+    const addNames = (map, names) => {
+      for (const name of Array.isArray(names) ? names : []) {
+        if (typeof name !== "string" || !name.trim()) continue;
+        if (map.has(name.toLowerCase())) continue;
+        map.set(name.toLowerCase(), name);
+        added++;
+      }
+    };
+    addNames(social.friends, data?.friends);
+    addNames(social.blocked, data?.blocked);
+    const notes =
+      data?.notes && typeof data.notes === "object" ? data.notes : {};
+    for (const [name, text] of Object.entries(notes)) {
+      if (typeof text !== "string" || !text.trim()) continue;
+      if (!social.notes.has(name.toLowerCase())) added++;
+      social.notes.set(name.toLowerCase(), { name, text });
+    }
+    // Blocking wins over friendship
+    for (const key of social.blocked.keys()) social.friends.delete(key);
+    return added;
+  }
+
+  function serializeSocial() {
+    const notes = {};
+    for (const { name, text } of social.notes.values()) notes[name] = text;
+    return {
+      friends: [...social.friends.values()],
+      blocked: [...social.blocked.values()],
+      notes,
+    };
+  }
+
+  // After every change: persist, then redraw whatever shows it
+  function storeSocial() {
+    try {
+      localStorage.setItem(SOCIAL_KEY, JSON.stringify(serializeSocial()));
+    } catch (e) {
+      console.warn("Failed to save friends and blocks", e);
+    }
+    roster.socialDirty = true;
+    markRosterDirty();
+    minimap.lastSignature = "";
+    hideBlockedMessages();
+    updateUI();
+  }
+
+  function hideBlockedMessages() {
+    const messages = document.querySelectorAll("#chat-messages [data-sender]");
+    for (const message of messages) {
+      message.classList.toggle("blocked", isBlocked(message.dataset.sender));
+    }
+  }
+
+  function isFriend(username) {
+    return !!username && social.friends.has(username.toLowerCase());
+  }
+
+  function isBlocked(username) {
+    return !!username && social.blocked.has(username.toLowerCase());
+  }
+
+  function getNote(username) {
+    return (username && social.notes.get(username.toLowerCase())?.text) || "";
+  }
+
+  function setFriend(username, friend) {
+    if (friend) {
+      social.blocked.delete(username.toLowerCase());
+      social.friends.set(username.toLowerCase(), username);
+    } else {
+      social.friends.delete(username.toLowerCase());
+    }
+    storeSocial();
+  }
+
+  function setBlocked(username, blocked) {
+    if (blocked) {
+      social.friends.delete(username.toLowerCase());
+      social.blocked.set(username.toLowerCase(), username);
+      const player = findPlayerByUsername(username);
+      if (player) {
+        delete speechBubbles[player.id];
+        if (roster.followId === player.id) stopFollowing();
+      }
+    } else {
+      social.blocked.delete(username.toLowerCase());
+    }
+    storeSocial();
+  }
+
+  function setNote(username, text) {
+    if (text.trim()) {
+      social.notes.set(username.toLowerCase(), {
+        name: username,
+        text: text.trim(),
+      });
+    } else {
+      social.notes.delete(username.toLowerCase());
+    }
+    storeSocial();
+  }
+
+  // Everyone else online except blocked players: what gets drawn, listed
+  // and shown on the minimap
+  function getVisiblePlayers() {
+    return Object.values(state.otherPlayers.byId).filter(
+      (player) => !isBlocked(player.username)
+    );
+  }
+
+  function exportSocial() {
+    const blob = new Blob([JSON.stringify(serializeSocial(), null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, SOCIAL_EXPORT_FILE);
+  }
+
+  async function importSocial(file) {
+    const added = mergeSocial(JSON.parse(await file.text()));
+    storeSocial();
+    addChatMessage(
+      "system",
+      `Imported ${file.name}: ${added} new ${
+        added === 1 ? "entry" : "entries"
+      }.`
+    );
+  }
+
+  // Friends and Blocked sections under the player list
+  function renderSocialLists() {
+    const online = new Set(
+      Object.values(state.otherPlayers.byId).map((player) =>
+        (player.username || "").toLowerCase()
+      )
+    );
+    const sortNames = (map) =>
+      [...map.values()].sort((a, b) =>
+        a.localeCompare(b, undefined, { sensitivity: "base" })
+      );
+
+    const friendItems = sortNames(social.friends).map((name) => {
+      const isOnline = online.has(name.toLowerCase());
+      return createSocialItem(
+        name,
+        isOnline ? "online" : "offline",
+        "Remove",
+        () => setFriend(name, false)
+      );
+    });
+    document.getElementById("friends-list").replaceChildren(...friendItems);
+    document.getElementById("friends-empty").hidden = friendItems.length > 0;
+
+    const blockedItems = sortNames(social.blocked).map((name) =>
+      createSocialItem(name, "", "Unblock", () => setBlocked(name, false))
+    );
+    document.getElementById("blocked-list").replaceChildren(...blockedItems);
+    document.getElementById("blocked-empty").hidden = blockedItems.length > 0;
+  }
+
+  function createSocialItem(name, status, actionLabel, action) {
+    const item = document.createElement("li");
+    const details = document.createElement("div");
+    const label = document.createElement("span");
+    label.className = "roster-name";
+    label.textContent = name;
+    details.append(label);
+    if (status) {
+      const statusEl = document.createElement("span");
+      statusEl.className = `roster-status${
+        status === "online" ? " moving" : ""
+      }`;
+      statusEl.textContent = ` ${status}`;
+      details.append(statusEl);
+    }
+    const note = getNote(name);
+    if (note) {
+      const noteEl = document.createElement("div");
+      noteEl.className = "roster-note";
+      noteEl.textContent = note;
+      details.append(noteEl);
+    }
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = actionLabel;
+    button.addEventListener("click", action);
+    item.append(details, button);
+    return item;
+  }
+
+  // Toasts: short notices that fade out on their own
+  function showToast(text) {
+    // A replay catching up after a seek would show a pile of old news
+    if (replay.active && replay.seekTarget - replay.time > TOAST_MS) return;
+
+    const container = document.getElementById("toasts");
+    if (!container) return;
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    toast.textContent = text;
+    container.appendChild(toast);
+    setTimeout(() => toast.classList.add("leaving"), TOAST_MS - 500);
+    setTimeout(() => toast.remove(), TOAST_MS);
+  }
+
+  // Minimap: a world thumbnail (rendered once) plus player dots. Supports
+  // zoom around me, hover tooltips, click-to-travel and a fullscreen mode.
+  function buildMinimapThumbnail() {
+    const ww = state.world.width;
+    const wh = state.world.height;
+    const scale = Math.min(1, MINIMAP_THUMBNAIL_SIZE / Math.max(ww, wh));
+    const thumb = document.createElement("canvas");
+    thumb.width = Math.max(1, Math.round(ww * scale));
+    thumb.height = Math.max(1, Math.round(wh * scale));
+    const tctx = thumb.getContext("2d");
+    if (state.world.preview) {
+      tctx.drawImage(state.world.preview, 0, 0, thumb.width, thumb.height);
+    } else {
+      // Nothing loaded yet; rebuilt when a preview arrives
+      tctx.fillStyle = "#1c232d";
+      tctx.fillRect(0, 0, thumb.width, thumb.height);
+    }
+    minimap.thumbnail = thumb;
+  }
+
+  function getMinimapView(minimapCanvas) {
+    const size = minimapCanvas.width;
+    const ww = state.world.width;
+    const wh = state.world.height;
+    const scale = (size / Math.max(ww, wh)) * minimap.zoom;
+
+    // Zoomed in: keep me centered, without scrolling past the world edges
+    const viewW = size / scale;
+    const viewH = size / scale;
+    const originX = clamp(state.me.x - viewW / 2, 0, Math.max(0, ww - viewW));
+    const originY = clamp(state.me.y - viewH / 2, 0, Math.max(0, wh - viewH));
+    return { size, scale, originX, originY, viewW, viewH };
+  }
+
+  function minimapToWorld(view, mx, my) {
+    return {
+      x: clamp(view.originX + mx / view.scale, 0, state.world.width),
+      y: clamp(view.originY + my / view.scale, 0, state.world.height),
+    };
+  }
+
+  function getMinimapPlayerAt(view, mx, my) {
+    let closest = null;
+    let closestDist = MINIMAP_HOVER_RADIUS;
+    for (const player of getVisiblePlayers()) {
+      const px = (player.x - view.originX) * view.scale;
+      const py = (player.y - view.originY) * view.scale;
+      const dist = Math.hypot(px - mx, py - my);
+      if (dist <= closestDist) {
+        closest = player;
+        closestDist = dist;
+      }
+    }
+    return closest;
+  }
+
+  function getMinimapSignature(view) {
+    // Positions at minimap resolution; if none moved a pixel, skip the redraw
+    const q = (value) => Math.round(value * view.scale);
+    const parts = [
+      view.size,
+      minimap.zoom,
+      minimap.hoverPlayerId,
+      q(view.originX),
+      q(view.originY),
+      q(state.viewport.cameraX),
+      q(state.viewport.cameraY),
+      q(getViewWorldSize().width),
+      q(getViewWorldSize().height),
+      q(state.me.x),
+      q(state.me.y),
+    ];
+    for (const player of getVisiblePlayers()) {
+      parts.push(player.id, q(player.x), q(player.y));
+    }
+    return parts.join(",");
+  }
+
+  function updateMinimap() {
+    const minimapCanvas = document.getElementById("minimap");
+    if (!minimapCanvas || !state.world.ready) return;
+
+    const view = getMinimapView(minimapCanvas);
+    const signature = getMinimapSignature(view);
+    if (signature === minimap.lastSignature) return;
+    minimap.lastSignature = signature;
+
+    const minimapCtx = minimapCanvas.getContext("2d");
+    const size = view.size;
+    const toMapX = (x) => (x - view.originX) * view.scale;
+    const toMapY = (y) => (y - view.originY) * view.scale;
+
+    // Clear minimap
+    minimapCtx.clearRect(0, 0, size, size);
+
+    // World thumbnail, cropped to the zoomed view
+    if (!minimap.thumbnail) buildMinimapThumbnail();
+    const thumb = minimap.thumbnail;
+    const thumbScale = thumb.width / state.world.width;
+    minimapCtx.drawImage(
+      thumb,
+      view.originX * thumbScale,
+      view.originY * thumbScale,
+      view.viewW * thumbScale,
+      view.viewH * thumbScale,
+      0,
+      0,
+      size,
+      size
+    );
+
+    // Draw viewport rectangle
+    minimapCtx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+    minimapCtx.lineWidth = 1;
+    minimapCtx.strokeRect(
+      toMapX(state.viewport.cameraX),
+      toMapY(state.viewport.cameraY),
+      getViewWorldSize().width * view.scale,
+      getViewWorldSize().height * view.scale
+    );
+
+    // Draw other players; friends stand out
+    for (const player of getVisiblePlayers()) {
+      const hovered = player.id === minimap.hoverPlayerId;
+      minimapCtx.fillStyle = isFriend(player.username)
+        ? FRIEND_COLOR
+        : "#ff0000";
+      minimapCtx.beginPath();
+      minimapCtx.arc(
+        toMapX(player.x),
+        toMapY(player.y),
+        hovered ? 4 : 2,
+        0,
+        Math.PI * 2
+      );
+      minimapCtx.fill();
+      if (hovered) {
+        minimapCtx.strokeStyle = "#ffffff";
+        minimapCtx.stroke();
+      }
+    }
+
+    // Draw my position on top
+    minimapCtx.fillStyle = "#00ff00";
+    minimapCtx.beginPath();
+    minimapCtx.arc(toMapX(state.me.x), toMapY(state.me.y), 3, 0, Math.PI * 2);
+    minimapCtx.fill();
+  }
+
+  function setMinimapFullscreen(fullscreen) {
+    const container = document.getElementById("minimap-container");
+    const minimapCanvas = document.getElementById("minimap");
+    minimap.fullscreen = fullscreen;
+    container.classList.toggle("fullscreen", fullscreen);
+
+    const size = fullscreen
+      ? Math.floor(Math.min(window.innerWidth, window.innerHeight) * 0.85)
+      : MINIMAP_SIZE;
+    minimapCanvas.width = size;
+    minimapCanvas.height = size;
+    minimap.lastSignature = ""; // Resizing cleared the canvas
+    updateMinimap();
+  }
+
+  function setupMinimap() {
+    const minimapCanvas = document.getElementById("minimap");
+    const tooltip = document.getElementById("minimap-tooltip");
+    if (!minimapCanvas || !tooltip) return;
+
+    const getPointer = (event) => {
+      const rect = minimapCanvas.getBoundingClientRect();
+      return {
+        mx: ((event.clientX - rect.left) / rect.width) * minimapCanvas.width,
+        my: ((event.clientY - rect.top) / rect.height) * minimapCanvas.height,
+      };
+    };
+
+    minimapCanvas.addEventListener("mousemove", (event) => {
+      const { mx, my } = getPointer(event);
+      const player = getMinimapPlayerAt(getMinimapView(minimapCanvas), mx, my);
+      minimap.hoverPlayerId = player ? player.id : null;
+      tooltip.hidden = !player;
+      if (player) {
+        tooltip.textContent = player.username;
+        tooltip.style.left = `${event.offsetX + 12}px`;
+        tooltip.style.top = `${event.offsetY + 12}px`;
+      }
+    });
+
+    minimapCanvas.addEventListener("mouseleave", () => {
+      minimap.hoverPlayerId = null;
+      tooltip.hidden = true;
+    });
+
+    // Click-to-travel to that world point
+    minimapCanvas.addEventListener("click", (event) => {
+      if (!canSendMoveCommands || !isConnected()) return;
+      const { mx, my } = getPointer(event);
+      const point = minimapToWorld(getMinimapView(minimapCanvas), mx, my);
+      stopFollowing();
+      if (event.shiftKey && clickRoute) {
+        queueRoute(point);
+      } else {
+        startRoute(point);
+      }
+    });
+
+    minimapCanvas.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        const factor = event.deltaY < 0 ? 1.25 : 1 / 1.25;
+        minimap.zoom = clamp(minimap.zoom * factor, 1, MINIMAP_MAX_ZOOM);
+      },
+      { passive: false }
+    );
+
+    // M toggles the fullscreen world map, Escape closes it
+    document.addEventListener("keydown", (event) => {
+      if (bindingCapture || isTextEntryTarget(event.target)) return;
+      if (event.code === "KeyM") {
+        setMinimapFullscreen(!minimap.fullscreen);
+        event.preventDefault();
+      } else if (event.code === "Escape" && minimap.fullscreen) {
+        setMinimapFullscreen(false);
+      }
+    });
+
+    window.addEventListener("resize", () => {
+      if (minimap.fullscreen) setMinimapFullscreen(true);
+    });
+  }
+
+  function setupChat() {
+    const chatInput = document.getElementById("chat-input");
+    const chatMessages = document.getElementById("chat-messages");
+
+    if (!chatInput || !chatMessages) return;
+
+    chat.muted = new Set(loadMutedUsers());
+    loadSocial();
+
+    document.querySelectorAll("#chat-tabs button").forEach((button) => {
+      button.addEventListener("click", () => setChatTab(button.dataset.tab));
+    });
+
+    // Add welcome message
+    addChatMessage(
+      "system",
+      "Welcome to the MMO! Type messages to chat with other players, or /help for commands."
+    );
+
+    // Handle chat input
+    chatInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        const message = chatInput.value.trim();
+        if (message) {
+          submitChatInput(message);
+          chatInput.value = "";
+        }
+      } else if (event.key === "ArrowUp" || event.key === "ArrowDown") {
+        // Input history, newest first
+        const history = chat.history;
+        if (history.length === 0) return;
+        event.preventDefault();
+        const step = event.key === "ArrowUp" ? 1 : -1;
+        chat.historyIndex = clamp(
+          chat.historyIndex + step,
+          -1,
+          history.length - 1
+        );
+        chatInput.value =
+          chat.historyIndex === -1
+            ? ""
+            : history[history.length - 1 - chat.historyIndex];
+      } else if (event.key === "Escape") {
+        chatInput.blur();
+      }
+    });
+
+    // Enter from the game focuses chat; on a button or link it still clicks
+    document.addEventListener("keydown", (event) => {
+      if (
+        event.key === "Enter" &&
+        !bindingCapture &&
+        !isTextEntryTarget(event.target) &&
+        !event.target.closest("button, a, form")
+      ) {
+        event.preventDefault();
+        chatInput.focus();
+      }
+    });
+  }
+
+  function loadMutedUsers() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MUTED_USERS_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function storeMutedUsers() {
+    try {
+      localStorage.setItem(MUTED_USERS_KEY, JSON.stringify([...chat.muted]));
+    } catch (e) {
+      console.warn("Failed to save mute list", e);
+    }
+  }
+
+  function isMuted(username) {
+    return !!username && chat.muted.has(username.toLowerCase());
+  }
+
+  function isNearby(sender) {
+    return (
+      Math.hypot(sender.x - state.me.x, sender.y - state.me.y) <=
+      CHAT_NEARBY_RADIUS
+    );
+  }
+
+  // Which tabs a message shows up in. sender is the player it came from
+  // (or state.me), if we know where they are.
+  function getChatTabs(type, sender) {
+    if (type === "system") return CHAT_TABS;
+    if (type === "whisper-in" || type === "whisper-out") {
+      return ["global", "whispers"];
+    }
+    return sender && isNearby(sender) ? ["global", "nearby"] : ["global"];
+  }
+
+  function setChatTab(tab) {
+    chat.activeTab = tab;
+    chat.unread[tab] = 0;
+
+    document.querySelectorAll("#chat-tabs button").forEach((button) => {
+      button.classList.toggle("active", button.dataset.tab === tab);
+    });
+    const chatMessages = document.getElementById("chat-messages");
+    for (const messageDiv of chatMessages.children) {
+      messageDiv.hidden = !messageDiv.dataset.tabs.split(" ").includes(tab);
+    }
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    document.getElementById("chat-input").placeholder = CHAT_PLACEHOLDERS[tab];
+    renderChatUnread();
+  }
+
+  function renderChatUnread() {
+    document.querySelectorAll("#chat-tabs button").forEach((button) => {
+      const badge = button.querySelector(".unread");
+      const count = chat.unread[button.dataset.tab];
+      badge.hidden = count === 0;
+      badge.textContent = count > 99 ? "99+" : String(count);
+    });
+  }
+
+  function findPlayerByUsername(username) {
+    const wanted = username.toLowerCase();
+    return (
+      Object.values(state.otherPlayers.byId).find(
+        (player) => (player.username || "").toLowerCase() === wanted
+      ) || null
+    );
+  }
+
+  // Display my message locally right away; remember it so a server echo
+  // doesn't show it twice
+  function showOwnChat(message) {
+    addChatMessage("player", message, state.me.username, state.me);
+    addSpeechBubble(state.me.id, message);
+    chat.pendingEchoes.push({ message, sentAt: worldNow() });
+  }
+
+  function showOwnWhisper(to, message) {
+    chat.whisperPartner = to;
+    addChatMessage("whisper-out", message, to);
+  }
+
+  function sendChat(message) {
+    showOwnChat(message);
+
+    // Servers that don't know channels send to everyone. Receivers can only
+    // drop far-off "nearby" messages if the server passes the field on; if
+    // it strips it, nearby chat reaches everyone as ordinary chat.
+    const channel = chat.activeTab === "nearby" ? "nearby" : "global";
+    sendMessage({ action: "chat", message, channel });
+  }
+
+  function sendWhisper(to, message) {
+    if (sendMessage({ action: "whisper", to, message })) {
+      showOwnWhisper(to, message);
+    }
+  }
+
+  // Usernames may contain spaces, so "<user> <more>" can't just be split on
+  // whitespace: take a quoted name, else the longest name we know of that
+  // the text starts with, else the first word
+  function splitNameArgument(text) {
+    const quoted = text.match(/^"([^"]*)"\s*([^]*)$/);
+    if (quoted) return { name: quoted[1].trim(), rest: quoted[2].trim() };
+
+    const lower = text.toLowerCase();
+    let name = text.split(/\s+/)[0];
+    for (const known of getKnownUsernames()) {
+      const candidate = known.toLowerCase();
+      const endsWord =
+        lower.length === candidate.length || /\s/.test(lower[candidate.length]);
+      if (
+        candidate.length > name.length &&
+        lower.startsWith(candidate) &&
+        endsWord
+      ) {
+        name = known;
+      }
+    }
+    return { name, rest: text.slice(name.length).trim() };
+  }
+
+  function getKnownUsernames() {
+    return [
+      ...Object.values(state.otherPlayers.byId).map((p) => p.username || ""),
+      ...chat.muted,
+      ...social.friends.values(),
+      ...social.blocked.values(),
+      ...[...social.notes.values()].map((note) => note.name),
+    ];
+  }
+
+  // Handles one line typed into chat: a slash command or a plain message
+  function submitChatInput(text) {
+    chat.history.push(text);
+    if (chat.history.length > CHAT_HISTORY_SIZE) chat.history.shift();
+    chat.historyIndex = -1;
+
+    if (!text.startsWith("/")) {
+      if (chat.activeTab !== "whispers") {
+        sendChat(text);
+      } else if (chat.whisperPartner) {
+        sendWhisper(chat.whisperPartner, text);
+      } else {
+        addChatMessage("system", "Nobody to reply to yet; use /w <user>.");
+      }
+      return;
+    }
+
+    const [command] = text.slice(1).split(/\s+/);
+    const rest = text.slice(1 + command.length).trim();
+
+    switch (command.toLowerCase()) {
+      case "me":
+        // Sent as-is; clients that know /me render it as an emote
+        if (rest) sendChat(`/me ${rest}`);
+        break;
+
+      case "w":
+      case "whisper": {
+        const { name: to, rest: message } = splitNameArgument(rest);
+        if (!to || !message) {
+          addChatMessage("system", "Usage: /w <user> <message>");
+          break;
+        }
+        sendWhisper(to, message);
+        break;
+      }
+
+      case "who": {
+        const names = getVisiblePlayers()
+          .map((player) => player.username)
+          .sort((a, b) => a.localeCompare(b));
+        addChatMessage(
+          "system",
+          `Online (${names.length + 1}): ${[state.me.username, ...names].join(
+            ", "
+          )}`
+        );
+        break;
+      }
+
+      case "clear":
+        document.getElementById("chat-messages").replaceChildren();
+        for (const tab of CHAT_TABS) chat.unread[tab] = 0;
+        renderChatUnread();
+        break;
+
+      case "mute":
+      case "unmute": {
+        const { name } = splitNameArgument(rest);
+        if (!name) {
+          const list = [...chat.muted].join(", ") || "nobody";
+          addChatMessage("system", `Muted: ${list}`);
+          break;
+        }
+        if (command.toLowerCase() === "mute") {
+          chat.muted.add(name.toLowerCase());
+          addChatMessage("system", `Muted ${name}.`);
+        } else {
+          chat.muted.delete(name.toLowerCase());
+          addChatMessage("system", `Unmuted ${name}.`);
+        }
+        storeMutedUsers();
+        break;
+      }
+
+      case "friend":
+      case "unfriend":
+      case "block":
+      case "unblock": {
+        const { name } = splitNameArgument(rest);
+        const verb = command.toLowerCase();
+        const blocking = verb.endsWith("block");
+        if (!name) {
+          const names = [
+            ...(blocking ? social.blocked : social.friends).values(),
+          ];
+          addChatMessage(
+            "system",
+            `${blocking ? "Blocked" : "Friends"}: ${
+              names.join(", ") || "nobody"
+            }`
+          );
+          break;
+        }
+        const messages = {
+          friend: `Added ${name} to your friends.`,
+          unfriend: `Removed ${name} from your friends.`,
+          block: `Blocked ${name}; you won't see them or their messages.`,
+          unblock: `Unblocked ${name}.`,
+        };
+        if (blocking) {
+          setBlocked(name, verb === "block");
+        } else {
+          setFriend(name, verb === "friend");
+        }
+        addChatMessage("system", messages[verb]);
+        break;
+      }
+
+      case "note": {
+        const { name, rest: text } = splitNameArgument(rest);
+        if (!name) {
+          addChatMessage("system", "Usage: /note <user> [text]");
+          break;
+        }
+        setNote(name, text);
+        addChatMessage(
+          "system",
+          text ? `Note on ${name} saved.` : `Note on ${name} removed.`
+        );
+        break;
+      }
+
+      case "help":
+        addChatMessage(
+          "system",
+          "Commands: /me <action>, /w <user> <message>, /who, /clear, /mute <user>, /unmute <user>, /friend <user>, /unfriend <user>, /block <user>, /unblock <user>, /note <user> [text]"
+        );
+        addChatMessage("system", 'Quote names with spaces: /w "Jane Doe" hi');
+        break;
+
+      default:
+        addChatMessage("system", `Unknown command: /${command}`);
+    }
+  }
+
+  // Appends text with http(s) URLs turned into links; never parses HTML
+  function appendLinkifiedText(parent, text) {
+    let lastIndex = 0;
+    for (const match of text.matchAll(/https?:\/\/[^\s<>"]+/g)) {
+      parent.append(text.slice(lastIndex, match.index));
+      let url = null;
+      try {
+        url = new URL(match[0]);
+      } catch (e) {
+        // Not a real URL; keep it as text
+      }
+      if (url && (url.protocol === "http:" || url.protocol === "https:")) {
+        const link = document.createElement("a");
+        link.href = url.href;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        link.textContent = match[0];
+        parent.append(link);
+      } else {
+        parent.append(match[0]);
+      }
+      lastIndex = match.index + match[0].length;
+    }
+    parent.append(text.slice(lastIndex));
+  }
+
+  function createUsernameButton(username) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "username";
+    button.textContent = username;
+    button.title = `Show ${username}`;
+    button.addEventListener("click", () => {
+      if (username === state.me.username) {
+        resetCameraPan();
+        return;
+      }
+      const player = findPlayerByUsername(username);
+      if (player) {
+        lookAt(player.x, player.y);
+      } else {
+        addChatMessage("system", `${username} isn't online.`);
+      }
+    });
+    return button;
+  }
+
+  // type: "system", "player", "whisper-in" (from username) or "whisper-out"
+  // (to username). sender decides whether a player message counts as nearby.
+  // Everything from the server is inserted as text.
+  function addChatMessage(type, content, username = null, sender = null) {
+    const chatMessages = document.getElementById("chat-messages");
+    if (!chatMessages) return;
+
+    const tabs = getChatTabs(type, sender);
+    const messageDiv = document.createElement("div");
+    messageDiv.className = `chat-message ${type}`;
+    messageDiv.dataset.tabs = tabs.join(" ");
+    messageDiv.hidden = !tabs.includes(chat.activeTab);
+    // Who said it, so blocking someone hides what they already said
+    if ((type === "player" && sender !== state.me) || type === "whisper-in") {
+      messageDiv.dataset.sender = String(username).toLowerCase();
+    }
+
+    const timestamp = document.createElement("span");
+    timestamp.className = "timestamp";
+    timestamp.textContent = new Date(worldNow()).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    messageDiv.append(timestamp, " ");
+
+    const text = String(content);
+    if (type === "system") {
+      const span = document.createElement("span");
+      span.className = "system";
+      span.textContent = text;
+      messageDiv.append(span);
+    } else if (text.startsWith("/me ")) {
+      // Emote: "* Tim waves"
+      messageDiv.classList.add("emote");
+      messageDiv.append("* ", createUsernameButton(username), " ");
+      appendLinkifiedText(messageDiv, text.slice(4));
+    } else {
+      if (type === "whisper-in") messageDiv.append("From ");
+      if (type === "whisper-out") messageDiv.append("To ");
+      messageDiv.append(createUsernameButton(username), ": ");
+      appendLinkifiedText(messageDiv, text);
+    }
+
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    // Only count what others said
+    const fromOthers =
+      type === "player" ? sender !== state.me : type === "whisper-in";
+    if (fromOthers) {
+      for (const tab of tabs) {
+        if (tab !== chat.activeTab) chat.unread[tab]++;
+      }
+      renderChatUnread();
+    }
+
+    // Limit chat messages to prevent memory issues
+    const messages = chatMessages.children;
+    if (messages.length > CHAT_MAX_MESSAGES) {
+      chatMessages.removeChild(messages[0]);
+    }
+  }
+
+  // Saved avatars (localStorage). Stored in the join_game avatar payload
+  // shape: { name, frames: { north: [dataURL], south: [...], east: [...] } }
+  function loadSavedAvatars() {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_AVATARS_KEY)) || {};
+    } catch (e) {
+      console.warn("Failed to read saved avatars", e);
+      return {};
+    }
+  }
+
+  function storeSavedAvatars(avatars) {
+    try {
+      localStorage.setItem(SAVED_AVATARS_KEY, JSON.stringify(avatars));
+      return true;
+    } catch (e) {
+      console.error("Failed to save avatars", e);
+      return false;
+    }
+  }
+
+  function getSelectedAvatar() {
+    const name = localStorage.getItem(SELECTED_AVATAR_KEY);
+    return (name && loadSavedAvatars()[name]) || null;
+  }
+
+  function selectAvatar(avatar) {
+    if (avatar) {
+      localStorage.setItem(SELECTED_AVATAR_KEY, avatar.name);
+    } else {
+      localStorage.removeItem(SELECTED_AVATAR_KEY);
+    }
+    state.me.avatarUpload = avatar;
+  }
+
+  // Checks a payload the way the server will, so we can show the problem
+  // instead of getting back "Invalid avatar data"
+  function validateAvatar(avatar) {
+    const errors = [];
+    if (!avatar || !AVATAR_NAME_PATTERN.test(avatar.name || "")) {
+      errors.push("Name must be 1-32 letters, digits, - or _.");
+    }
+    for (const dir of AVATAR_DIRECTIONS) {
+      const sources = avatar?.frames?.[dir];
+      if (!Array.isArray(sources) || sources.length !== AVATAR_FRAME_COUNT) {
+        errors.push(`${dir} needs ${AVATAR_FRAME_COUNT} frames.`);
+        continue;
+      }
+      if (!sources.every((src) => /^data:image\/png;base64,/.test(src))) {
+        errors.push(`${dir} frames must be PNG data URLs.`);
+      }
+    }
+    const bytes = JSON.stringify(avatar || {}).length;
+    if (bytes > AVATAR_MAX_PAYLOAD_BYTES) {
+      errors.push(
+        `Avatar is ${Math.ceil(bytes / 1024)} KB; the limit is ${
+          AVATAR_MAX_PAYLOAD_BYTES / 1024
+        } KB.`
+      );
+    }
+    return errors;
+  }
+
+  // Avatar editor: one small canvas per direction/frame, edited through a
+  // zoomed pixel grid
+  function createFrameCanvas(size) {
+    const frame = document.createElement("canvas");
+    frame.width = size;
+    frame.height = size;
+    return frame;
+  }
+
+  function resetEditorFrames(size) {
+    avatarEditor.size = size;
+    for (const dir of AVATAR_DIRECTIONS) {
+      avatarEditor.frames[dir] = [];
+      for (let i = 0; i < AVATAR_FRAME_COUNT; i++) {
+        avatarEditor.frames[dir].push(createFrameCanvas(size));
+      }
+    }
+    avatarEditor.previewDirty = true;
+  }
+
+  function getEditorFrame() {
+    return avatarEditor.frames[avatarEditor.dir][avatarEditor.frame];
+  }
+
+  function isCanvasBlank(frame) {
+    const pixels = frame
+      .getContext("2d")
+      .getImageData(0, 0, frame.width, frame.height).data;
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i] !== 0) return false;
+    }
+    return true;
+  }
+
+  async function loadAvatarIntoEditor(avatar) {
+    const first = await loadImage(avatar.frames.south[0]);
+    const size = clamp(
+      Math.max(first.naturalWidth, first.naturalHeight),
+      1,
+      AVATAR_MAX_SIZE
+    );
+    resetEditorFrames(size);
+    for (const dir of AVATAR_DIRECTIONS) {
+      const sources = avatar.frames[dir] || [];
+      for (let i = 0; i < AVATAR_FRAME_COUNT && i < sources.length; i++) {
+        const img = await loadImage(sources[i]);
+        avatarEditor.frames[dir][i].getContext("2d").drawImage(img, 0, 0);
+      }
+    }
+    document.getElementById("avatar-name").value = avatar.name;
+    // The preview may have redrawn while frames were still loading
+    avatarEditor.previewDirty = true;
+    drawPixelEditor();
+  }
+
+  async function importSpriteSheet(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const sheet = await loadImage(url);
+      const frameW = sheet.naturalWidth / AVATAR_FRAME_COUNT;
+      const frameH = sheet.naturalHeight / AVATAR_DIRECTIONS.length;
+      if (!Number.isInteger(frameW) || !Number.isInteger(frameH)) {
+        return [
+          `Sheet size ${sheet.naturalWidth}x${sheet.naturalHeight} doesn't split into 3x3 frames.`,
+        ];
+      }
+      const size = Math.max(frameW, frameH);
+      if (size > AVATAR_MAX_SIZE) {
+        return [`Frames are ${size}px; the maximum is ${AVATAR_MAX_SIZE}px.`];
+      }
+
+      resetEditorFrames(size);
+      AVATAR_DIRECTIONS.forEach((dir, row) => {
+        for (let col = 0; col < AVATAR_FRAME_COUNT; col++) {
+          avatarEditor.frames[dir][col]
+            .getContext("2d")
+            .drawImage(
+              sheet,
+              col * frameW,
+              row * frameH,
+              frameW,
+              frameH,
+              0,
+              0,
+              frameW,
+              frameH
+            );
+        }
+      });
+      drawPixelEditor();
+      return [];
+    } catch (e) {
+      return ["Couldn't read that image."];
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  function exportEditorAvatar() {
+    const name = document.getElementById("avatar-name").value.trim();
+    const frames = {};
+    const errors = [];
+    for (const dir of AVATAR_DIRECTIONS) {
+      frames[dir] = avatarEditor.frames[dir].map((frame, i) => {
+        if (isCanvasBlank(frame)) {
+          errors.push(`${dir} frame ${i + 1} is empty.`);
+        }
+        return frame.toDataURL("image/png");
+      });
+    }
+    const avatar = { name, frames };
+    return { avatar, errors: errors.concat(validateAvatar(avatar)) };
+  }
+
+  function drawPixelEditor() {
+    const editorCanvas = document.getElementById("avatar-pixel-canvas");
+    const ectx = editorCanvas.getContext("2d");
+    const size = avatarEditor.size;
+    const cell = editorCanvas.width / size;
+
+    // Checkerboard so transparent pixels are visible
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        ectx.fillStyle = (x + y) % 2 === 0 ? "#3a3a3a" : "#2e2e2e";
+        ectx.fillRect(x * cell, y * cell, cell, cell);
+      }
+    }
+
+    ectx.imageSmoothingEnabled = false;
+    ectx.drawImage(
+      getEditorFrame(),
+      0,
+      0,
+      editorCanvas.width,
+      editorCanvas.height
+    );
+
+    // Grid lines (skip when cells get too small to matter)
+    if (cell >= 4) {
+      ectx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+      ectx.lineWidth = 1;
+      ectx.beginPath();
+      for (let i = 1; i < size; i++) {
+        ectx.moveTo(i * cell + 0.5, 0);
+        ectx.lineTo(i * cell + 0.5, editorCanvas.height);
+        ectx.moveTo(0, i * cell + 0.5);
+        ectx.lineTo(editorCanvas.width, i * cell + 0.5);
+      }
+      ectx.stroke();
+    }
+
+    for (const tab of document.querySelectorAll("#avatar-frame-tabs button")) {
+      tab.classList.toggle(
+        "active",
+        tab.dataset.dir === avatarEditor.dir &&
+          Number(tab.dataset.frame) === avatarEditor.frame
+      );
+    }
+  }
+
+  function paintEditorPixel(event) {
+    const editorCanvas = document.getElementById("avatar-pixel-canvas");
+    const rect = editorCanvas.getBoundingClientRect();
+    const x = Math.floor(
+      ((event.clientX - rect.left) / rect.width) * avatarEditor.size
+    );
+    const y = Math.floor(
+      ((event.clientY - rect.top) / rect.height) * avatarEditor.size
+    );
+    if (x < 0 || y < 0 || x >= avatarEditor.size || y >= avatarEditor.size) {
+      return;
+    }
+
+    const fctx = getEditorFrame().getContext("2d");
+    if (avatarEditor.tool === "eraser") {
+      fctx.clearRect(x, y, 1, 1);
+    } else {
+      fctx.fillStyle = document.getElementById("avatar-color").value;
+      fctx.fillRect(x, y, 1, 1);
+    }
+    avatarEditor.previewDirty = true;
+    drawPixelEditor();
+  }
+
+  function drawAvatarPreview(tick) {
+    const previewCanvas = document.getElementById("avatar-preview");
+    const pctx = previewCanvas.getContext("2d");
+
+    // West is the flipped east frames, exactly as the game derives it
+    if (avatarEditor.previewDirty) {
+      avatarEditor.westPreview = avatarEditor.frames.east.map((frame) =>
+        flipImageHorizontally(frame)
+      );
+      avatarEditor.previewDirty = false;
+    }
+
+    const frameIndex = ANIM_WALK_CYCLE[tick % ANIM_WALK_CYCLE.length];
+    const columns = [
+      avatarEditor.frames.north,
+      avatarEditor.frames.south,
+      avatarEditor.frames.east,
+      avatarEditor.westPreview,
+    ];
+    const colWidth = previewCanvas.width / columns.length;
+    const scale = Math.max(
+      1,
+      Math.floor(Math.min(colWidth, previewCanvas.height) / avatarEditor.size)
+    );
+    const drawSize = avatarEditor.size * scale;
+
+    pctx.clearRect(0, 0, previewCanvas.width, previewCanvas.height);
+    pctx.imageSmoothingEnabled = false;
+    columns.forEach((frames, i) => {
+      const frame = frames[frameIndex];
+      if (!frame || frame.complete === false) return; // Flipped image still decoding
+      pctx.drawImage(
+        frame,
+        Math.round(i * colWidth + (colWidth - drawSize) / 2),
+        Math.round((previewCanvas.height - drawSize) / 2),
+        drawSize,
+        drawSize
+      );
+    });
+  }
+
+  function showAvatarErrors(errors) {
+    const list = document.getElementById("avatar-errors");
+    list.replaceChildren(
+      ...errors.map((error) => {
+        const li = document.createElement("li");
+        li.textContent = error;
+        return li;
+      })
+    );
+  }
+
+  function renderSavedAvatarList() {
+    const list = document.getElementById("avatar-saved-list");
+    const saved = loadSavedAvatars();
+    const selectedName = state.me.avatarUpload?.name;
+    list.replaceChildren();
+
+    const names = Object.keys(saved).sort();
+    renderLobbyAvatarOptions();
+
+    if (names.length === 0) {
+      const li = document.createElement("li");
+      li.className = "hint";
+      li.textContent = "None yet.";
+      list.appendChild(li);
+      return;
+    }
+
+    for (const name of names) {
+      const avatar = saved[name];
+      const li = document.createElement("li");
+      li.classList.toggle("selected", name === selectedName);
+
+      const thumb = document.createElement("img");
+      thumb.src = avatar.frames.south[0];
+      thumb.alt = "";
+
+      const label = document.createElement("span");
+      label.className = "avatar-saved-name";
+      label.textContent = name;
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.textContent = "Edit";
+      editButton.addEventListener("click", () => loadAvatarIntoEditor(avatar));
+
+      const useButton = document.createElement("button");
+      useButton.type = "button";
+      useButton.textContent = name === selectedName ? "In use" : "Use";
+      useButton.disabled = name === selectedName;
+      useButton.addEventListener("click", () => useAvatar(avatar));
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => {
+        const current = loadSavedAvatars();
+        delete current[name];
+        storeSavedAvatars(current);
+        if (name === selectedName) selectAvatar(null);
+        renderSavedAvatarList();
+      });
+
+      li.append(thumb, label, editButton, useButton, deleteButton);
+      list.appendChild(li);
+    }
+  }
+
+  function saveEditorAvatar() {
+    const { avatar, errors } = exportEditorAvatar();
+    showAvatarErrors(errors);
+    if (errors.length > 0) return null;
+
+    const saved = loadSavedAvatars();
+    saved[avatar.name] = avatar;
+    if (!storeSavedAvatars(saved)) {
+      showAvatarErrors(["Not enough local storage to save this avatar."]);
+      return null;
+    }
+    renderSavedAvatarList();
+    return avatar;
+  }
+
+  function useAvatar(avatar) {
+    selectAvatar(avatar);
+    renderSavedAvatarList();
+    // The server only takes avatars on join_game
+    if (isConnected()) rejoin();
+  }
+
+  function setAvatarEditorOpen(open) {
+    const panel = document.getElementById("avatar-editor");
+    panel.hidden = !open;
+    clearInterval(avatarEditor.previewTimerId);
+    avatarEditor.previewTimerId = null;
+    if (!open) return;
+
+    renderSavedAvatarList();
+    drawPixelEditor();
+    let tick = 0;
+    drawAvatarPreview(tick);
+    avatarEditor.previewTimerId = setInterval(
+      () => drawAvatarPreview(++tick),
+      AVATAR_PREVIEW_FRAME_MS
+    );
+  }
+
+  function setupAvatarEditor() {
+    const panel = document.getElementById("avatar-editor");
+    if (!panel) return;
+
+    resetEditorFrames(AVATAR_DEFAULT_SIZE);
+
+    // One tab per direction/frame
+    const tabs = document.getElementById("avatar-frame-tabs");
+    for (const dir of AVATAR_DIRECTIONS) {
+      for (let i = 0; i < AVATAR_FRAME_COUNT; i++) {
+        const tab = document.createElement("button");
+        tab.type = "button";
+        tab.dataset.dir = dir;
+        tab.dataset.frame = String(i);
+        tab.textContent = `${dir[0].toUpperCase()}${dir.slice(1)} ${i + 1}`;
+        tab.addEventListener("click", () => {
+          avatarEditor.dir = dir;
+          avatarEditor.frame = i;
+          drawPixelEditor();
+        });
+        tabs.appendChild(tab);
+      }
+    }
+
+    const editorCanvas = document.getElementById("avatar-pixel-canvas");
+    editorCanvas.addEventListener("pointerdown", (event) => {
+      avatarEditor.painting = true;
+      editorCanvas.setPointerCapture(event.pointerId);
+      paintEditorPixel(event);
+    });
+    editorCanvas.addEventListener("pointermove", (event) => {
+      if (avatarEditor.painting) paintEditorPixel(event);
+    });
+    editorCanvas.addEventListener("pointerup", () => {
+      avatarEditor.painting = false;
+    });
+
+    for (const button of panel.querySelectorAll("[data-tool]")) {
+      button.addEventListener("click", () => {
+        avatarEditor.tool = button.dataset.tool;
+        for (const other of panel.querySelectorAll("[data-tool]")) {
+          other.classList.toggle("active", other === button);
+        }
+      });
+    }
+
+    document
+      .getElementById("avatar-copy-previous")
+      .addEventListener("click", () => {
+        const frames = avatarEditor.frames[avatarEditor.dir];
+        const previous =
+          frames[(avatarEditor.frame + frames.length - 1) % frames.length];
+        const fctx = getEditorFrame().getContext("2d");
+        fctx.clearRect(0, 0, avatarEditor.size, avatarEditor.size);
+        fctx.drawImage(previous, 0, 0);
+        avatarEditor.previewDirty = true;
+        drawPixelEditor();
+      });
+
+    document
+      .getElementById("avatar-clear-frame")
+      .addEventListener("click", () => {
+        getEditorFrame()
+          .getContext("2d")
+          .clearRect(0, 0, avatarEditor.size, avatarEditor.size);
+        avatarEditor.previewDirty = true;
+        drawPixelEditor();
+      });
+
+    document
+      .getElementById("avatar-import")
+      .addEventListener("change", async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        showAvatarErrors(await importSpriteSheet(file));
+        event.target.value = "";
+      });
+
+    document
+      .getElementById("avatar-save")
+      .addEventListener("click", saveEditorAvatar);
+    document.getElementById("avatar-save-use").addEventListener("click", () => {
+      const avatar = saveEditorAvatar();
+      if (avatar) useAvatar(avatar);
+    });
+
+    document
+      .getElementById("avatar-editor-button")
+      .addEventListener("click", () => setAvatarEditorOpen(panel.hidden));
+    document
+      .getElementById("avatar-editor-close")
+      .addEventListener("click", () => setAvatarEditorOpen(false));
+  }
+
+  // Lobby: username, server and avatar are picked here before connecting
+  function loadLobbyPrefs() {
+    try {
+      return JSON.parse(localStorage.getItem(LOBBY_PREFS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function storeLobbyPrefs(prefs) {
+    try {
+      localStorage.setItem(LOBBY_PREFS_KEY, JSON.stringify(prefs));
+    } catch (e) {
+      console.warn("Failed to save lobby settings", e);
+    }
+  }
+
+  function validateUsername(username) {
+    if (username.length < 2 || username.length > 16) {
+      return "Username must be 2-16 characters.";
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+      return "Username may only use letters, digits, spaces, - and _.";
+    }
+    return null;
+  }
+
+  function validateServerUrl(url) {
+    if (url === "mock") return null;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === "ws:" || parsed.protocol === "wss:") return null;
+    } catch (e) {
+      // Fall through
+    }
+    return "Server URL must start with ws:// or wss://.";
+  }
+
+  function isLobbyOpen() {
+    const lobby = document.getElementById("lobby");
+    return !!lobby && !lobby.hidden;
+  }
+
+  function showLobbyError(message) {
+    document.getElementById("lobby-error").textContent = message;
+  }
+
+  function setLobbyBusy(busy) {
+    const button = document.getElementById("lobby-join");
+    button.disabled = busy;
+    button.textContent = busy ? "Joining…" : "Join";
+  }
+
+  function renderLobbyAvatarOptions() {
+    const select = document.getElementById("lobby-avatar");
+    if (!select) return;
+
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "";
+    defaultOption.textContent = "Server default";
+    select.replaceChildren(defaultOption);
+
+    for (const name of Object.keys(loadSavedAvatars()).sort()) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = state.me.avatarUpload?.name || "";
+  }
+
+  function handleLobbySubmit(event) {
+    event.preventDefault();
+
+    const username = document.getElementById("lobby-username").value.trim();
+    const serverChoice = document.getElementById("lobby-server").value;
+    const customServer = document
+      .getElementById("lobby-custom-server")
+      .value.trim();
+    const url = serverChoice === "custom" ? customServer : serverChoice;
+    const avatarName = document.getElementById("lobby-avatar").value;
+
+    const error = validateUsername(username) || validateServerUrl(url);
+    if (error) {
+      showLobbyError(error);
+      return;
+    }
+
+    storeLobbyPrefs({ username, server: serverChoice, customServer });
+    state.me.username = username;
+    serverTarget = url;
+    selectAvatar(loadSavedAvatars()[avatarName] || null);
+
+    showLobbyError("");
+    setLobbyBusy(true);
+    connect();
+  }
+
+  function setupLobby() {
+    const serverSelect = document.getElementById("lobby-server");
+    const customLabel = document.getElementById("lobby-custom-server-label");
+    const customInput = document.getElementById("lobby-custom-server");
+
+    for (const preset of SERVER_PRESETS) {
+      const option = document.createElement("option");
+      option.value = preset.url;
+      option.textContent = preset.label;
+      serverSelect.appendChild(option);
+    }
+    const customOption = document.createElement("option");
+    customOption.value = "custom";
+    customOption.textContent = "Custom…";
+    serverSelect.appendChild(customOption);
+
+    // ?server= wins over the remembered choice
+    const prefs = loadLobbyPrefs();
+    const requested = queryParams.get("server");
+    let server = prefs.server || DEFAULT_SERVER_URL;
+    let custom = prefs.customServer || "";
+    if (requested) {
+      const isPreset = SERVER_PRESETS.some((p) => p.url === requested);
+      server = isPreset ? requested : "custom";
+      custom = isPreset ? custom : requested;
+    }
+    serverSelect.value = server;
+    customInput.value = custom;
+    customLabel.hidden = serverSelect.value !== "custom";
+    serverSelect.addEventListener("change", () => {
+      customLabel.hidden = serverSelect.value !== "custom";
+    });
+
+    document.getElementById("lobby-username").value = prefs.username || "";
+    renderLobbyAvatarOptions();
+
+    document
+      .getElementById("lobby-avatars-button")
+      .addEventListener("click", () => setAvatarEditorOpen(true));
+    document
+      .getElementById("lobby-form")
+      .addEventListener("submit", handleLobbySubmit);
+    setLobbyBusy(false); // Join stays disabled until everything is wired up
+  }
+
+  function hideLobby() {
+    document.getElementById("lobby").hidden = true;
+    setLobbyBusy(false);
+    canvas.focus();
+  }
+
+  function getMockOptions() {
+    const number = (name) => Number(queryParams.get(name)) || 0;
+    return {
+      bots: number("bots"),
+      latency: number("latency"),
+      jitter: number("jitter"),
+      dropRate: number("drop"),
+      worldWidth: state.world.width,
+      worldHeight: state.world.height,
+    };
+  }
+
+  function buildJoinMessage() {
+    // Same username (and avatar, if we uploaded one) on every (re)join
+    const joinMsg = { action: "join_game", username: state.me.username };
+    if (state.me.avatarUpload) {
+      joinMsg.avatar = state.me.avatarUpload;
+    }
+    return joinMsg;
+  }
+
+  function getReconnectDelay(attempt) {
+    // Exponential backoff capped at the max, with "equal jitter" so a server
+    // restart doesn't get every client reconnecting in lockstep
+    const ceiling = Math.min(
+      RECONNECT_MAX_DELAY_MS,
+      RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1)
+    );
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimerId) return; // Already scheduled (error and close both fire)
+
+    reconnectAttempt++;
+    const delay = getReconnectDelay(reconnectAttempt);
+    console.warn(`Reconnecting in ${delay}ms (attempt ${reconnectAttempt})`);
+    reconnectTimerId = setTimeout(() => {
+      reconnectTimerId = null;
+      connect();
+    }, delay);
+    updateUI();
+  }
+
+  function reconnectNow() {
+    // Skip the remaining backoff, e.g. when the browser comes back online
+    if (!reconnectTimerId) return;
+    clearTimeout(reconnectTimerId);
+    reconnectTimerId = null;
+    connect();
+  }
+
+  function disconnect() {
+    clearTimeout(reconnectTimerId);
+    reconnectTimerId = null;
+    reconnectAttempt = 0;
+    stopMovementLoop();
+    canSendMoveCommands = false;
+
+    const previous = transport;
+    transport = null; // Its close event is now ignored
+    if (previous) previous.close();
+  }
+
+  function rejoin() {
+    // Fresh connection so the server sees a new join_game (e.g. new avatar)
+    disconnect();
+    connect();
+  }
+
+  function handleConnectionLost() {
+    // Still in the lobby: let the user pick another server instead of retrying
+    if (isLobbyOpen()) {
+      disconnect();
+      setLobbyBusy(false);
+      showLobbyError(`Couldn't connect to ${serverTarget}.`);
+      return;
+    }
+
+    stopMovementLoop();
+    // No moves until the next join_game confirms our position again
+    canSendMoveCommands = false;
+    scheduleReconnect();
+  }
+
+  function createOtherPlayer(id, playerData) {
+    const now = worldNow();
+    return {
+      id,
+      x: playerData.x | 0,
+      y: playerData.y | 0,
+      facing: playerData.facing || "south",
+      animationFrame: playerData.animationFrame | 0,
+      username: playerData.username,
+      avatarName: playerData.avatar,
+      anim: createAnimation(),
+      targetX: playerData.x | 0,
+      targetY: playerData.y | 0,
+      lastUpdate: now,
+      snapshots: [
+        {
+          t: now,
+          x: playerData.x | 0,
+          y: playerData.y | 0,
+          isMoving: !!playerData.isMoving,
+        },
+      ],
+    };
+  }
+
+  function resetOtherPlayers(playersMap) {
+    // Rebuild from a join snapshot so players who left while we were
+    // offline don't linger as ghosts
+    state.otherPlayers.byId = {};
+    for (const [playerId, playerData] of Object.entries(playersMap || {})) {
+      if (playerId !== state.me.id) {
+        state.otherPlayers.byId[playerId] = createOtherPlayer(
+          playerId,
+          playerData
+        );
+      }
+    }
+  }
+
+  // Protocol handlers, one per server action. They only see parsed messages,
+  // so they work the same over any transport.
+  function handleJoinGame(data) {
+    // Joined (or re-joined) successfully; reset the backoff
+    reconnectAttempt = 0;
+    if (isLobbyOpen()) hideLobby();
+    updateUI();
+
+    // Store my id and initial state
+    state.me.id = data.playerId;
+    const meFromServer = data.players?.[state.me.id];
+    if (meFromServer) {
+      state.me.x = meFromServer.x | 0;
+      state.me.y = meFromServer.y | 0;
+      state.me.facing = meFromServer.facing || "south";
+      state.me.animationFrame = meFromServer.animationFrame | 0;
+      state.me.avatarName = meFromServer.avatar;
+      state.me.serverX = state.me.x;
+      state.me.serverY = state.me.y;
+      state.me.hasServerPosition = true; // Mark that we have a confirmed position
+      resetPrediction(state.me.x, state.me.y);
+    }
+
+    // Store all other players
+    resetOtherPlayers(data.players);
+    roster.socialDirty = true;
+    markRosterDirty();
+
+    // Use server's position instead of overriding with deterministic spawn
+    // This ensures we start from the server's actual position
+
+    // Decode every avatar in parallel; until one is ready its players show
+    // as a silhouette
+    state.me.ready = true;
+    for (const avatar of Object.values(data.avatars || {})) {
+      loadAvatar(avatar).catch((e) => {
+        console.error(`Failed to load avatar ${avatar.name}`, e);
+      });
+    }
+
+    // Recompute camera now that we know my (possibly overridden) position
+    updateCamera();
+
+    // Allow move commands now that we have a confirmed position
+    canSendMoveCommands = true;
+
+    // Start movement loop now that we have a confirmed position
+    startMovementLoop();
+  }
+
+  function handlePlayersMoved(data) {
+    if (!data.players) return;
+
+    // Reconcile my predicted position with the server's
+    if (data.players[state.me.id]) {
+      const myUpdate = data.players[state.me.id];
+      state.me.serverX = myUpdate.x | 0;
+      state.me.serverY = myUpdate.y | 0;
+      // Facing is predicted too while inputs are in flight
+      if (prediction.pendingInputs.length === 0 && !prediction.clickTarget) {
+        state.me.facing = myUpdate.facing || state.me.facing;
+      }
+      state.me.animationFrame = myUpdate.animationFrame | 0;
+      reconcilePrediction(state.me.serverX, state.me.serverY);
+    }
+
+    // Buffer other players' positions for snapshot interpolation
+    const now = worldNow();
+    for (const [playerId, playerUpdate] of Object.entries(data.players)) {
+      if (playerId !== state.me.id && state.otherPlayers.byId[playerId]) {
+        const player = state.otherPlayers.byId[playerId];
+        // Latest server position; what we draw trails it by the interpolation delay
+        player.targetX = playerUpdate.x | 0;
+        player.targetY = playerUpdate.y | 0;
+        player.facing = playerUpdate.facing || player.facing;
+        player.animationFrame = playerUpdate.animationFrame | 0;
+        player.lastUpdate = now;
+        pushPlayerSnapshot(
+          player,
+          player.targetX,
+          player.targetY,
+          !!playerUpdate.isMoving,
+          now
+        );
+      }
+    }
+    markRosterDirty();
+  }
+
+  function handlePlayerJoined(data) {
+    if (!data.player || !data.avatar) return;
+
+    const player = data.player;
+    state.otherPlayers.byId[player.id] = createOtherPlayer(player.id, player);
+
+    // Usually one we already have; loadAvatar() skips those
+    loadAvatar(data.avatar).catch((e) => {
+      console.error(`Failed to load avatar ${data.avatar.name}`, e);
+    });
+    console.log("Player joined:", player.username);
+    if (isFriend(player.username)) {
+      showToast(`${player.username} is online`);
+      addChatMessage("system", `${player.username} is online.`);
+    } else if (!isBlocked(player.username)) {
+      showToast(`${player.username} joined`);
+    }
+    roster.socialDirty = true;
+    markRosterDirty();
+    updateUI();
+  }
+
+  function handlePlayerLeft(data) {
+    if (!data.playerId || !state.otherPlayers.byId[data.playerId]) return;
+
+    console.log(
+      "Player left:",
+      state.otherPlayers.byId[data.playerId].username
+    );
+    const username = state.otherPlayers.byId[data.playerId].username;
+    if (!isBlocked(username)) showToast(`${username} left`);
+    roster.socialDirty = true;
+    delete state.otherPlayers.byId[data.playerId];
+    delete speechBubbles[data.playerId];
+    markRosterDirty();
+    updateUI();
+  }
+
+  function isOwnChatEcho(data) {
+    if (data.playerId && data.playerId === state.me.id) return true;
+    if (data.username !== state.me.username) return false;
 
-      const rect = canvas.getBoundingClientRect();
-      const clickX = event.clientX - rect.left;
-      const clickY = event.clientY - rect.top;
+    // No player id: match against what we recently sent
+    const now = worldNow();
+    chat.pendingEchoes = chat.pendingEchoes.filter(
+      (echo) => now - echo.sentAt < CHAT_ECHO_WINDOW_MS
+    );
+    const index = chat.pendingEchoes.findIndex(
+      (echo) => echo.message === data.message
+    );
+    if (index === -1) return false;
+    chat.pendingEchoes.splice(index, 1);
+    return true;
+  }
 
-      // Convert screen coordinates to world coordinates
-      const worldX = clickX + state.viewport.cameraX;
-      const worldY = clickY + state.viewport.cameraY;
+  function handleChat(data) {
+    if (!data.username || !data.message) return;
+    // Already shown when we sent it
+    if (isOwnChatEcho(data)) return;
+    if (isMuted(data.username) || isBlocked(data.username)) return;
+
+    const speaker = data.playerId
+      ? state.otherPlayers.byId[data.playerId]
+      : findPlayerByUsername(data.username);
+    // A server without channel support relays nearby messages to everyone;
+    // this only catches them when it echoes the field back
+    if (data.channel === "nearby" && !(speaker && isNearby(speaker))) return;
+
+    addChatMessage("player", data.message, data.username, speaker);
+    if (speaker) {
+      addSpeechBubble(speaker.id, data.message);
+      speaker.lastChatAt = worldNow();
+    }
+  }
 
-      // Send click-to-move command
-      const moveMsg = {
-        action: "move",
-        x: Math.round(worldX),
-        y: Math.round(worldY),
-      };
-      ws.send(JSON.stringify(moveMsg));
-    });
+  function handleWhisper(data) {
+    if (!data.username || !data.message) return;
+    if (isMuted(data.username) || isBlocked(data.username)) return;
+    chat.whisperPartner = data.username;
+    addChatMessage("whisper-in", data.message, data.username);
   }
 
-  function startMovementLoop() {
-    if (movementLoopId) return; // Already running
+  const messageHandlers = {
+    join_game: handleJoinGame,
+    players_moved: handlePlayersMoved,
+    player_joined: handlePlayerJoined,
+    player_left: handlePlayerLeft,
+    chat: handleChat,
+    whisper: handleWhisper,
+  };
 
-    function movementLoop() {
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        movementLoopId = setTimeout(movementLoop, 100); // Retry in 100ms
+  function handleServerMessage(data) {
+    // Any action can fail with { action, success: false, error }
+    if (data.success === false) {
+      console.error(`Server rejected "${data.action}":`, data.error);
+
+      if (data.action === "join_game" && isLobbyOpen()) {
+        disconnect();
+        setLobbyBusy(false);
+        showLobbyError(`Couldn't join: ${data.error}`);
         return;
       }
 
-      const now = Date.now();
-      let hasActiveKeys = false;
-      const activeDirections = [];
-
-      // Check which keys are pressed
-      for (const [direction, isPressed] of Object.entries(keysPressed)) {
-        if (isPressed) {
-          hasActiveKeys = true;
-          activeDirections.push(direction);
-        }
+      if (data.action === "whisper") {
+        addChatMessage("system", `Whisper not delivered: ${data.error}`);
+        return;
       }
 
-      // Only send move commands if we have permission and enough time has passed
-      if (
-        hasActiveKeys &&
-        canSendMoveCommands &&
-        now - lastMoveTime >= MOVE_THROTTLE_MS
-      ) {
-        // Send one move command per active direction
-        for (const direction of activeDirections) {
-          const moveMsg = { action: "move", direction };
-          ws.send(JSON.stringify(moveMsg));
-        }
-        lastMoveTime = now;
-      } else if (!hasActiveKeys && canSendMoveCommands) {
-        // Send stop command when no keys are pressed
-        const stopMsg = { action: "stop" };
-        ws.send(JSON.stringify(stopMsg));
+      // Don't get stuck outside the game over a bad custom avatar on rejoin
+      if (data.action === "join_game" && state.me.avatarUpload) {
+        addChatMessage(
+          "system",
+          `Avatar rejected (${data.error}); joining with the default avatar.`
+        );
+        state.me.avatarUpload = null;
+        sendMessage(buildJoinMessage());
       }
+      return;
+    }
 
-      // Continue the loop
-      movementLoopId = setTimeout(movementLoop, 50); // ~20fps - less aggressive
+    const handler = messageHandlers[data.action];
+    if (handler) {
+      return handler(data);
     }
+  }
 
-    movementLoop();
+  // What "now" is for anything replayed: snapshot times, speech bubbles,
+  // chat timestamps. Live, it's the wall clock.
+  function worldNow() {
+    return replay.header ? replay.header.startedAt + replay.time : Date.now();
   }
 
-  function stopMovementLoop() {
-    if (movementLoopId) {
-      clearTimeout(movementLoopId);
-      movementLoopId = null;
+  // Recording. Entries are kept in memory until the recording is saved.
+  function recordEntry(entry) {
+    if (!recorder.active) return;
+    recorder.entries.push({ t: Date.now() - recorder.startedAt, ...entry });
+  }
+
+  // Avatars are only sent on join, so remember them all in case a
+  // recording starts later
+  function rememberAvatars(data) {
+    if (data.action === "join_game" && data.avatars) {
+      Object.assign(recorder.avatars, data.avatars);
+    } else if (data.action === "player_joined" && data.avatar) {
+      recorder.avatars[data.avatar.name] = data.avatar;
     }
   }
 
-  function updateUI() {
-    // Update player count
-    const totalPlayers = Object.keys(state.otherPlayers.byId).length + 1; // +1 for me
-    const playerCountEl = document.getElementById("player-count");
-    if (playerCountEl) {
-      playerCountEl.textContent = `Players: ${totalPlayers}`;
+  // A recording started mid-session opens with the world as it is now,
+  // in the shape of a join_game response
+  function buildJoinSnapshot() {
+    const players = {};
+    for (const player of Object.values(state.otherPlayers.byId)) {
+      players[player.id] = {
+        username: player.username,
+        x: player.targetX,
+        y: player.targetY,
+        avatar: player.avatarName,
+        facing: player.facing,
+        isMoving: player.snapshots[player.snapshots.length - 1]?.isMoving,
+        animationFrame: player.animationFrame,
+      };
     }
+    players[state.me.id] = {
+      username: state.me.username,
+      x: state.me.serverX,
+      y: state.me.serverY,
+      avatar: state.me.avatarName,
+      facing: state.me.facing,
+      isMoving: false,
+      animationFrame: state.me.animationFrame,
+    };
+    return {
+      action: "join_game",
+      success: true,
+      playerId: state.me.id,
+      players,
+      avatars: recorder.avatars,
+    };
+  }
 
-    // Update connection status
-    const connectionStatusEl = document.getElementById("connection-status");
-    if (connectionStatusEl) {
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        connectionStatusEl.textContent = "Connected";
-        connectionStatusEl.className = "connected";
-      } else {
-        connectionStatusEl.textContent = "Disconnected";
-        connectionStatusEl.className = "disconnected";
-      }
+  function startRecording() {
+    recorder.active = true;
+    recorder.startedAt = Date.now();
+    recorder.entries = [];
+    if (state.me.ready) {
+      recordEntry({ dir: "in", msg: buildJoinSnapshot(), snapshot: true });
     }
+    renderRecordButton();
+  }
 
-    // Update mini-map
-    updateMinimap();
+  // Saves the recording as NDJSON: a header line, then one entry per line
+  function stopRecording() {
+    recorder.active = false;
+    renderRecordButton();
+
+    const header = {
+      format: RECORDING_FORMAT,
+      version: 1,
+      startedAt: recorder.startedAt,
+      username: state.me.username,
+      server: serverTarget,
+      map: MAP_URL,
+      userAgent: navigator.userAgent,
+    };
+    const lines = [header, ...recorder.entries].map((line) =>
+      JSON.stringify(line)
+    );
+    recorder.entries = [];
+    const stamp = new Date(header.startedAt)
+      .toISOString()
+      .replace(/[:.]/g, "-");
+    downloadBlob(
+      new Blob([lines.join("\n") + "\n"], { type: "application/x-ndjson" }),
+      `mmo-session-${stamp}.ndjson`
+    );
   }
 
-  function updateMinimap() {
-    const minimapCanvas = document.getElementById("minimap");
-    if (!minimapCanvas || !state.world.ready) return;
+  function renderRecordButton() {
+    const button = document.getElementById("record-button");
+    if (!button) return;
+    button.textContent = recorder.active ? "Stop & save" : "Record";
+    button.classList.toggle("recording", recorder.active);
+  }
 
-    const minimapCtx = minimapCanvas.getContext("2d");
-    const minimapSize = 200;
-    const scale = minimapSize / Math.max(state.world.width, state.world.height);
+  function setupRecorder() {
+    const button = document.getElementById("record-button");
+    if (!button) return;
+    button.hidden = replay.active;
+    button.addEventListener("click", () => {
+      if (recorder.active) {
+        stopRecording();
+      } else {
+        startRecording();
+      }
+    });
+    if (queryParams.has("record")) startRecording();
+    renderRecordButton();
+  }
 
-    // Clear minimap
-    minimapCtx.clearRect(0, 0, minimapSize, minimapSize);
+  // Replay. Accepts what stopRecording() saves, or the same as a JSON
+  // document: { ...header, entries: [...] } or a bare array of entries.
+  function parseRecording(text) {
+    let header = null;
+    let entries = null;
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        entries = parsed;
+      } else if (Array.isArray(parsed?.entries)) {
+        ({ entries, ...header } = parsed);
+      }
+    } catch (e) {
+      // Not a single JSON document; NDJSON below
+    }
+    if (!entries) {
+      entries = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        const value = JSON.parse(line);
+        if (value.format === RECORDING_FORMAT) {
+          header = value;
+        } else {
+          entries.push(value);
+        }
+      }
+    }
 
-    // Draw world background (simplified)
-    minimapCtx.fillStyle = "#2a2a2a";
-    minimapCtx.fillRect(0, 0, minimapSize, minimapSize);
+    entries = entries.filter(
+      (entry) => Number.isFinite(entry?.t) && typeof entry.dir === "string"
+    );
+    entries.sort((a, b) => a.t - b.t); // Stable, so ties keep their order
+    return { header: header || {}, entries };
+  }
 
-    // Draw viewport rectangle
-    const viewportX = state.viewport.cameraX * scale;
-    const viewportY = state.viewport.cameraY * scale;
-    const viewportW = state.viewport.width * scale;
-    const viewportH = state.viewport.height * scale;
+  function loadReplay(text, source) {
+    const { header, entries } = parseRecording(text);
+    setReplayPlaying(false);
+    replay.header = { startedAt: Date.now(), ...header };
+    replay.entries = entries;
+    replay.duration = entries.length ? entries[entries.length - 1].t : 0;
+    if (header.username) state.me.username = header.username;
+
+    const seek = document.getElementById("replay-seek");
+    seek.max = replay.duration;
+    resetReplayWorld();
+    addChatMessage(
+      "system",
+      `Replaying ${source}: ${entries.length} messages, ${formatReplayTime(
+        replay.duration
+      )}.`
+    );
+    if ((header.map || null) !== MAP_URL) {
+      addChatMessage(
+        "system",
+        header.map
+          ? `Recorded on ${header.map}; add &map=${header.map} to see that map.`
+          : "Recorded without a ?map; remove it to see the same world."
+      );
+    }
+    seekReplay(0);
+    setReplayPlaying(entries.length > 0);
+  }
 
-    minimapCtx.strokeStyle = "rgba(255, 255, 255, 0.5)";
-    minimapCtx.lineWidth = 1;
-    minimapCtx.strokeRect(viewportX, viewportY, viewportW, viewportH);
+  // Back to before the first message, so entries can be applied from the start
+  function resetReplayWorld() {
+    replay.index = 0;
+    replay.time = 0;
+    state.me.id = null;
+    state.me.ready = false;
+    state.me.hasServerPosition = false;
+    state.me.anim = createAnimation();
+    state.otherPlayers.byId = {};
+    for (const id of Object.keys(speechBubbles)) delete speechBubbles[id];
+    markRosterDirty();
+
+    document.getElementById("chat-messages").replaceChildren();
+    for (const tab of CHAT_TABS) chat.unread[tab] = 0;
+    chat.whisperPartner = null;
+    chat.pendingEchoes = [];
+    renderChatUnread();
+    updateUI();
+  }
 
-    // Draw my position
-    const myX = state.me.x * scale;
-    const myY = state.me.y * scale;
-    minimapCtx.fillStyle = "#00ff00";
-    minimapCtx.beginPath();
-    minimapCtx.arc(myX, myY, 3, 0, Math.PI * 2);
-    minimapCtx.fill();
+  function applyReplayEntry(entry) {
+    if (entry.dir === "in") {
+      if (entry.msg) {
+        handleServerMessage(entry.msg);
+      } else {
+        console.warn("Invalid message", entry.raw);
+      }
+      return;
+    }
 
-    // Draw other players
-    for (const player of Object.values(state.otherPlayers.byId)) {
-      const playerX = player.x * scale;
-      const playerY = player.y * scale;
-      minimapCtx.fillStyle = "#ff0000";
-      minimapCtx.beginPath();
-      minimapCtx.arc(playerX, playerY, 2, 0, Math.PI * 2);
-      minimapCtx.fill();
+    if (entry.dir === "out") {
+      // Only what sending showed locally; the rest is in what came back
+      const msg = entry.msg || {};
+      if (msg.action === "join_game" && msg.username) {
+        state.me.username = msg.username;
+      } else if (msg.action === "chat" && msg.message) {
+        showOwnChat(msg.message);
+      } else if (msg.action === "whisper" && msg.to && msg.message) {
+        showOwnWhisper(msg.to, msg.message);
+      }
+      return;
     }
-  }
 
-  function setupChat() {
-    const chatInput = document.getElementById("chat-input");
-    const chatMessages = document.getElementById("chat-messages");
+    if (entry.dir === "event") {
+      addChatMessage("system", `Recorded connection event: ${entry.event}`);
+    }
+  }
 
-    if (!chatInput || !chatMessages) return;
+  function seekReplay(time) {
+    time = clamp(time, 0, replay.duration);
+    if (time < replay.time) resetReplayWorld();
+    replay.seekTarget = time;
+
+    // Each entry sees the clock as it was when it arrived
+    const entries = replay.entries;
+    while (replay.index < entries.length && entries[replay.index].t <= time) {
+      replay.time = entries[replay.index].t;
+      applyReplayEntry(entries[replay.index]);
+      replay.index++;
+    }
+    replay.time = time;
+    renderReplayBar();
+  }
 
-    // Add welcome message
-    addChatMessage(
-      "system",
-      "Welcome to the MMO! Type messages to chat with other players."
-    );
+  // Called every frame
+  function advanceReplay() {
+    const now = performance.now();
+    const dt = replay.lastFrameTime
+      ? Math.min(now - replay.lastFrameTime, 100)
+      : 0;
+    replay.lastFrameTime = now;
+    if (!replay.playing) return;
+
+    seekReplay(replay.time + dt * replay.speed);
+    if (replay.time >= replay.duration) setReplayPlaying(false);
+  }
 
-    // Handle chat input
-    chatInput.addEventListener("keydown", (event) => {
-      if (event.key === "Enter") {
-        const message = chatInput.value.trim();
-        if (message) {
-          // Display message locally immediately
-          addChatMessage("player", message, state.me.username);
+  function setReplayPlaying(playing) {
+    // Play at the end starts over
+    if (playing && replay.time >= replay.duration) seekReplay(0);
+    replay.playing = playing && replay.duration > 0;
+    renderReplayBar();
+  }
 
-          // Send chat message to server if connected
-          if (ws && ws.readyState === WebSocket.OPEN) {
-            const chatMsg = { action: "chat", message: message };
-            ws.send(JSON.stringify(chatMsg));
-          }
-          chatInput.value = "";
-        }
-      }
-    });
+  function formatReplayTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+      2,
+      "0"
+    )}`;
   }
 
-  function addChatMessage(type, content, username = null) {
-    const chatMessages = document.getElementById("chat-messages");
-    if (!chatMessages) return;
+  function renderReplayBar() {
+    document.getElementById("replay-play").textContent = replay.playing
+      ? "Pause"
+      : "Play";
+    const seek = document.getElementById("replay-seek");
+    // Don't fight the user dragging the slider
+    if (document.activeElement !== seek || replay.playing) {
+      seek.value = Math.round(replay.time);
+    }
+    document.getElementById("replay-time").textContent = `${formatReplayTime(
+      replay.time
+    )} / ${formatReplayTime(replay.duration)}`;
+  }
 
-    const messageDiv = document.createElement("div");
-    messageDiv.className = "chat-message";
+  function showReplayError(message) {
+    console.error(message);
+    addChatMessage("system", message);
+  }
 
-    if (type === "system") {
-      messageDiv.innerHTML = `<span class="system">${content}</span>`;
-    } else if (type === "player") {
-      messageDiv.innerHTML = `<span class="username">${username}:</span> ${content}`;
+  function setupReplay() {
+    hideLobby();
+    updateUI();
+    const chatInput = document.getElementById("chat-input");
+    chatInput.disabled = true;
+    chatInput.placeholder = "Replay: chat is read-only";
+
+    document.getElementById("replay-bar").hidden = false;
+    const speed = document.getElementById("replay-speed");
+    for (const value of REPLAY_SPEEDS) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = `${value}x`;
+      speed.appendChild(option);
     }
+    speed.value = replay.speed;
+    speed.addEventListener("change", () => {
+      replay.speed = Number(speed.value) || 1;
+    });
+    document
+      .getElementById("replay-play")
+      .addEventListener("click", () => setReplayPlaying(!replay.playing));
+    document
+      .getElementById("replay-seek")
+      .addEventListener("input", (event) =>
+        seekReplay(Number(event.target.value))
+      );
+    document
+      .getElementById("replay-file")
+      .addEventListener("change", async (event) => {
+        const file = event.target.files[0];
+        event.target.value = "";
+        if (!file) return;
+        try {
+          loadReplay(await file.text(), file.name);
+        } catch (e) {
+          showReplayError(`Couldn't read ${file.name}: ${e.message}`);
+        }
+      });
+    renderReplayBar();
 
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    if (!REPLAY_URL) {
+      addChatMessage("system", "Open a recording to replay it.");
+      return;
+    }
+    fetch(REPLAY_URL)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then((text) => loadReplay(text, REPLAY_URL))
+      .catch((e) =>
+        showReplayError(`Couldn't load ${REPLAY_URL}: ${e.message}`)
+      );
+  }
 
-    // Limit chat messages to prevent memory issues
-    const messages = chatMessages.children;
-    if (messages.length > 50) {
-      chatMessages.removeChild(messages[0]);
+  // Transport: anything with the WebSocket surface we use (readyState, send,
+  // close, and open/message/close/error events). The mock server hands out
+  // sockets with the same shape.
+  function createTransport() {
+    if (serverTarget === "mock") {
+      if (!mockServer) {
+        mockServer = window.MockServer.create(getMockOptions());
+        window.mockServer = mockServer; // Handy for scripting from devtools
+      }
+      return mockServer.connect();
     }
+    return new WebSocket(serverTarget);
+  }
+
+  function isConnected() {
+    return !!transport && transport.readyState === WebSocket.OPEN;
   }
 
-  function connectWebSocket() {
+  function sendMessage(msg) {
+    if (!isConnected()) return false;
+    transport.send(JSON.stringify(msg));
+    debugHud.msgsOut++;
+    recordEntry({ dir: "out", msg });
+    return true;
+  }
+
+  function connect() {
+    let socket;
     try {
-      ws = new WebSocket(WS_URL);
+      socket = createTransport();
     } catch (e) {
-      console.error("WebSocket init failed", e);
+      console.error("Transport init failed", e);
+      handleConnectionLost();
+      updateUI();
       return;
     }
+    transport = socket;
 
-    ws.addEventListener("open", () => {
-      const joinMsg = { action: "join_game", username: state.me.username };
-      ws.send(JSON.stringify(joinMsg));
+    socket.addEventListener("open", () => {
+      recordEntry({ dir: "event", event: "open" });
+      sendMessage(buildJoinMessage());
       updateUI();
 
       // Don't start movement loop here - wait until we have confirmed position
     });
 
-    ws.addEventListener("message", async (event) => {
+    socket.addEventListener("message", (event) => {
+      if (socket !== transport) return;
+
+      // Counts characters; the same as bytes for plain ASCII JSON
+      const size =
+        typeof event.data === "string"
+          ? event.data.length
+          : event.data.byteLength || event.data.size || 0;
       let data;
       try {
         data = JSON.parse(event.data);
       } catch (e) {
         console.warn("Invalid message", event.data);
+        recordEntry({ dir: "in", raw: String(event.data) });
+        countIncoming(null, size);
         return;
       }
 
-      if (data.action === "join_game") {
-        if (data.success === false) {
-          console.error("Join failed:", data.error);
-          return;
-        }
+      recordEntry({ dir: "in", msg: data });
+      countIncoming(data, size);
+      rememberAvatars(data);
+      handleServerMessage(data);
+    });
 
-        // Store my id and initial state
-        state.me.id = data.playerId;
-        const meFromServer = data.players?.[state.me.id];
-        if (meFromServer) {
-          state.me.x = meFromServer.x | 0;
-          state.me.y = meFromServer.y | 0;
-          state.me.facing = meFromServer.facing || "south";
-          state.me.animationFrame = meFromServer.animationFrame | 0;
-          state.me.avatarName = meFromServer.avatar;
-          state.me.hasServerPosition = true; // Mark that we have a confirmed position
-        }
+    socket.addEventListener("close", () => {
+      if (socket !== transport) return; // A newer socket has replaced this one
+      console.warn("Connection closed");
+      recordEntry({ dir: "event", event: "close" });
+      handleConnectionLost();
+      updateUI();
+    });
 
-        // Store all other players
-        if (data.players) {
-          for (const [playerId, playerData] of Object.entries(data.players)) {
-            if (playerId !== state.me.id) {
-              state.otherPlayers.byId[playerId] = {
-                id: playerId,
-                x: playerData.x | 0,
-                y: playerData.y | 0,
-                facing: playerData.facing || "south",
-                animationFrame: playerData.animationFrame | 0,
-                username: playerData.username,
-                avatarName: playerData.avatar,
-                targetX: playerData.x | 0,
-                targetY: playerData.y | 0,
-                lastUpdate: Date.now(),
-              };
-            }
-          }
-        }
+    socket.addEventListener("error", (e) => {
+      if (socket !== transport) return;
+      console.error("Connection error", e);
+      recordEntry({ dir: "event", event: "error" });
+      handleConnectionLost();
+      updateUI();
+    });
+  }
 
-        // Use server's position instead of overriding with deterministic spawn
-        // This ensures we start from the server's actual position
+  // World loading. The world is drawn from chunk layers (see
+  // createChunkLayer()): pre-cut tiles listed in world-tiles/manifest.json,
+  // world.jpg sliced up as it arrives, or a Tiled JSON map (?map=) rendered
+  // chunk by chunk. Only the map size is needed up front, so the game
+  // starts before the world has loaded.
+  async function loadWorld() {
+    if (MAP_URL) {
+      await loadTiledMap(MAP_URL);
+    } else if (!(await loadWorldTiles())) {
+      loadWorldImage();
+    }
+    state.world.ready = true;
+  }
 
-        // Cache all avatar frames (mine and other players)
-        try {
-          // Cache my avatar frames
-          await cacheMyAvatarFrames(data.avatars || {}, state.me.avatarName);
+  // The low-res preview doubles as the minimap thumbnail source
+  function setWorldPreview(image) {
+    state.world.preview = image;
+    minimap.thumbnail = null;
+    minimap.lastSignature = "";
+  }
 
-          // Cache other players' avatar frames
-          for (const avatar of Object.values(data.avatars || {})) {
-            await cacheAvatarFrames(avatar);
-          }
+  async function loadWorldTiles() {
+    const response = await fetch(WORLD_TILES_MANIFEST).catch(() => null);
+    if (!response || !response.ok) return false;
+
+    // { width, height, chunkSize, tiles: "tile_{col}_{row}.jpg", preview }
+    const manifest = await response.json();
+    const { width, height, chunkSize, tiles, preview } = manifest;
+    if (!(width > 0 && height > 0 && chunkSize > 0 && tiles)) {
+      throw new Error(
+        `${WORLD_TILES_MANIFEST} needs width, height, chunkSize and tiles`
+      );
+    }
 
-          state.me.ready = true;
-        } catch (e) {
-          console.error("Failed to cache avatar frames", e);
+    const baseUrl = new URL(WORLD_TILES_MANIFEST, window.location.href);
+    state.world.width = width;
+    state.world.height = height;
+    state.world.ground = createChunkLayer(
+      width,
+      height,
+      chunkSize,
+      (col, row) =>
+        loadImage(
+          new URL(tiles.replace("{col}", col).replace("{row}", row), baseUrl)
+            .href
+        )
+    );
+    if (preview) {
+      loadImage(new URL(preview, baseUrl).href)
+        .then(setWorldPreview)
+        .catch((e) => console.warn("No world preview", e));
+    }
+    return true;
+  }
+
+  function loadWorldImage() {
+    // world.jpg's size isn't known until it arrives; assume the documented one
+    state.world.width = WORLD_DEFAULT_SIZE;
+    state.world.height = WORLD_DEFAULT_SIZE;
+
+    loadImage(WORLD_PREVIEW_URL)
+      .then((preview) => {
+        if (!state.world.ground.fullImage) setWorldPreview(preview);
+      })
+      .catch(() => {
+        // Optional; without it, unloaded chunks are a flat colour
+      });
+
+    const full = loadImage(WORLD_IMAGE_URL);
+    const createLayer = (width, height) => {
+      const layer = createChunkLayer(
+        width,
+        height,
+        CHUNK_SIZE,
+        async (col, row) => sliceChunk(await full, layer, col, row)
+      );
+      return layer;
+    };
+    state.world.ground = createLayer(WORLD_DEFAULT_SIZE, WORLD_DEFAULT_SIZE);
+
+    full
+      .then((image) => {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (width !== state.world.width || height !== state.world.height) {
+          state.world.width = width;
+          state.world.height = height;
+          state.world.ground = createLayer(width, height);
         }
+        state.world.ground.fullImage = image;
+        setWorldPreview(image);
+      })
+      .catch((e) => {
+        console.error(`Failed to load ${WORLD_IMAGE_URL}`, e);
+        showWorldLoadError(`Couldn't load ${WORLD_IMAGE_URL}`);
+      });
+  }
 
-        // Recompute camera now that we know my (possibly overridden) position
-        updateCamera();
-
-        // Allow move commands now that we have a confirmed position
-        canSendMoveCommands = true;
-
-        // Start movement loop now that we have a confirmed position
-        startMovementLoop();
-      } else if (data.action === "players_moved") {
-        // Handle movement updates from server
-        if (data.players) {
-          // Update my position
-          if (data.players[state.me.id]) {
-            const myUpdate = data.players[state.me.id];
-            state.me.x = myUpdate.x | 0;
-            state.me.y = myUpdate.y | 0;
-            state.me.facing = myUpdate.facing || state.me.facing;
-            state.me.animationFrame = myUpdate.animationFrame | 0;
-
-            // Update camera to follow movement
-            updateCamera();
-          }
+  function showWorldLoadError(message) {
+    const status = document.getElementById("connection-status");
+    status.textContent = message;
+    status.className = "disconnected";
+  }
 
-          // Update other players' positions with smooth interpolation
-          for (const [playerId, playerUpdate] of Object.entries(data.players)) {
-            if (playerId !== state.me.id && state.otherPlayers.byId[playerId]) {
-              const player = state.otherPlayers.byId[playerId];
-              // Store target position for smooth interpolation
-              player.targetX = playerUpdate.x | 0;
-              player.targetY = playerUpdate.y | 0;
-              player.facing = playerUpdate.facing || player.facing;
-              player.animationFrame = playerUpdate.animationFrame | 0;
-              player.lastUpdate = Date.now();
-            }
-          }
-        }
-      } else if (data.action === "player_joined") {
-        // Handle new player joining
-        if (data.player && data.avatar) {
-          const player = data.player;
-          state.otherPlayers.byId[player.id] = {
-            id: player.id,
-            x: player.x | 0,
-            y: player.y | 0,
-            facing: player.facing || "south",
-            animationFrame: player.animationFrame | 0,
-            username: player.username,
-            avatarName: player.avatar,
-            targetX: player.x | 0,
-            targetY: player.y | 0,
-            lastUpdate: Date.now(),
-          };
-
-          // Cache the new player's avatar frames
-          cacheAvatarFrames(data.avatar);
-          console.log("Player joined:", player.username);
-          updateUI();
-        }
-      } else if (data.action === "player_left") {
-        // Handle player leaving
-        if (data.playerId && state.otherPlayers.byId[data.playerId]) {
-          console.log(
-            "Player left:",
-            state.otherPlayers.byId[data.playerId].username
-          );
-          delete state.otherPlayers.byId[data.playerId];
-          updateUI();
-        }
-      } else if (data.action === "chat") {
-        // Handle chat messages
-        if (data.username && data.message) {
-          addChatMessage("player", data.message, data.username);
+  async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return response.json();
+  }
+
+  async function loadTiledMap(url) {
+    const mapUrl = new URL(url, window.location.href);
+    const map = await fetchJson(mapUrl);
+    if (map.infinite) throw new Error("Infinite Tiled maps aren't supported");
+    if (map.orientation && map.orientation !== "orthogonal") {
+      throw new Error(`${map.orientation} Tiled maps aren't supported`);
+    }
+
+    // Highest firstgid first, so the first match owns a gid
+    const tilesets = await Promise.all(
+      map.tilesets.map((tileset) => loadTileset(tileset, mapUrl))
+    );
+    tilesets.sort((a, b) => b.firstgid - a.firstgid);
+
+    const tiled = {
+      map,
+      tilesets,
+      layers: [],
+      // How far a tile can stick out of its grid cell
+      overhangX: Math.max(
+        0,
+        ...tilesets.map((t) => t.tilewidth - map.tilewidth)
+      ),
+      overhangY: Math.max(
+        0,
+        ...tilesets.map((t) => t.tileheight - map.tileheight)
+      ),
+    };
+    const regions = [];
+    for (const layer of flattenTiledLayers(map.layers, {})) {
+      if (layer.type === "objectgroup") {
+        regions.push(...getTiledRegions(layer));
+      } else if (layer.visible && layer.type === "tilelayer") {
+        tiled.layers.push({ ...layer, gids: getTiledLayerData(layer) });
+      } else if (layer.visible && layer.type === "imagelayer" && layer.image) {
+        const image = await loadImage(new URL(layer.image, mapUrl).href);
+        tiled.layers.push({ ...layer, image });
+      }
+    }
+
+    const width = map.width * map.tilewidth;
+    const height = map.height * map.tileheight;
+    const createLayer = (overhead) =>
+      createChunkLayer(width, height, CHUNK_SIZE, async (col, row) => {
+        const chunk = document.createElement("canvas");
+        chunk.width = Math.min(CHUNK_SIZE, width - col * CHUNK_SIZE);
+        chunk.height = Math.min(CHUNK_SIZE, height - row * CHUNK_SIZE);
+        renderTiledArea(
+          chunk.getContext("2d"),
+          tiled,
+          overhead,
+          col * CHUNK_SIZE,
+          row * CHUNK_SIZE,
+          chunk.width,
+          chunk.height
+        );
+        return chunk;
+      });
+
+    state.world.ground = createLayer(false);
+    state.world.overhead = tiled.layers.some((layer) => layer.overhead)
+      ? createLayer(true)
+      : null;
+    state.world.regions = regions;
+    state.world.width = width;
+    state.world.height = height;
+
+    // Whole map at thumbnail size, roofs included: it's seen from above
+    const scale = Math.min(1, MINIMAP_THUMBNAIL_SIZE / Math.max(width, height));
+    const preview = document.createElement("canvas");
+    preview.width = Math.max(1, Math.round(width * scale));
+    preview.height = Math.max(1, Math.round(height * scale));
+    const pctx = preview.getContext("2d");
+    pctx.scale(scale, scale);
+    renderTiledArea(pctx, tiled, false, 0, 0, width, height);
+    renderTiledArea(pctx, tiled, true, 0, 0, width, height);
+    setWorldPreview(preview);
+  }
+
+  // Renders the ground or overhead layers of the world rect (x, y, width,
+  // height) with its top left at the target's origin
+  function renderTiledArea(target, tiled, overhead, x, y, width, height) {
+    for (const layer of tiled.layers) {
+      if (layer.overhead !== overhead) continue;
+      target.save();
+      target.globalAlpha = layer.opacity;
+      if (layer.gids) {
+        drawTiledLayer(target, layer, tiled, x, y, width, height);
+      } else {
+        target.drawImage(layer.image, layer.offsetx - x, layer.offsety - y);
+      }
+      target.restore();
+    }
+  }
+
+  async function loadTileset(entry, mapUrl) {
+    let tileset = entry;
+    let baseUrl = mapUrl;
+    if (entry.source) {
+      // External tilesets have to be exported as JSON, not .tsx
+      if (/\.tsx$/i.test(entry.source)) {
+        throw new Error(`Export tileset ${entry.source} as JSON`);
+      }
+      baseUrl = new URL(entry.source, mapUrl);
+      tileset = { ...(await fetchJson(baseUrl)), firstgid: entry.firstgid };
+    }
+    if (!tileset.image) {
+      throw new Error(`Tileset ${tileset.name} has no single image`);
+    }
+
+    return {
+      firstgid: tileset.firstgid,
+      image: await loadImage(new URL(tileset.image, baseUrl).href),
+      tilewidth: tileset.tilewidth,
+      tileheight: tileset.tileheight,
+      columns: tileset.columns,
+      margin: tileset.margin || 0,
+      spacing: tileset.spacing || 0,
+    };
+  }
+
+  // Group layers are flattened; children inherit visibility, opacity,
+  // offsets and the "overhead" property
+  function flattenTiledLayers(layers, parent) {
+    const flat = [];
+    for (const layer of layers || []) {
+      const props = {};
+      for (const prop of layer.properties || []) props[prop.name] = prop.value;
+
+      const flattened = {
+        ...layer,
+        visible: parent.visible !== false && layer.visible !== false,
+        opacity: (parent.opacity ?? 1) * (layer.opacity ?? 1),
+        offsetx: (parent.offsetx || 0) + (layer.offsetx || 0),
+        offsety: (parent.offsety || 0) + (layer.offsety || 0),
+        overhead: !!(parent.overhead || props.overhead),
+      };
+      if (layer.type === "group") {
+        flat.push(...flattenTiledLayers(layer.layers, flattened));
+      } else {
+        flat.push(flattened);
+      }
+    }
+    return flat;
+  }
+
+  function getTiledLayerData(layer) {
+    if (Array.isArray(layer.data)) return layer.data;
+    if (layer.encoding === "base64" && !layer.compression) {
+      const bytes = Uint8Array.from(atob(layer.data), (c) => c.charCodeAt(0));
+      return new Uint32Array(bytes.buffer);
+    }
+    throw new Error(
+      `Layer ${layer.name}: save it as CSV or uncompressed Base64`
+    );
+  }
+
+  function drawTiledLayer(target, layer, tiled, x, y, width, height) {
+    const { map, tilesets } = tiled;
+    const tw = map.tilewidth;
+    const th = map.tileheight;
+    target.imageSmoothingEnabled = false;
+
+    // Only tiles that can reach into the area, overhang included
+    const firstCol = Math.max(
+      0,
+      Math.floor((x - layer.offsetx - tiled.overhangX) / tw)
+    );
+    const lastCol = Math.min(
+      layer.width - 1,
+      Math.floor((x + width - layer.offsetx) / tw)
+    );
+    const firstRow = Math.max(0, Math.floor((y - layer.offsety) / th));
+    const lastRow = Math.min(
+      layer.gids.length / layer.width - 1,
+      Math.floor((y + height - layer.offsety + tiled.overhangY) / th)
+    );
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const raw = layer.gids[row * layer.width + col];
+        // The top bits are flip flags (diagonal flips aren't supported)
+        const gid = raw & 0x1fffffff;
+        if (gid === 0) continue;
+        const tileset = tilesets.find((t) => t.firstgid <= gid);
+        if (!tileset) continue;
+
+        const local = gid - tileset.firstgid;
+        const { tilewidth: w, tileheight: h, margin, spacing } = tileset;
+        const sx = margin + (local % tileset.columns) * (w + spacing);
+        const sy = margin + Math.floor(local / tileset.columns) * (h + spacing);
+        // Tiles taller than the grid stick up, like in Tiled
+        const dx = col * tw + layer.offsetx - x;
+        const dy = row * th + layer.offsety + th - h - y;
+
+        const flipX = (raw & 0x80000000) !== 0;
+        const flipY = (raw & 0x40000000) !== 0;
+        if (!flipX && !flipY) {
+          target.drawImage(tileset.image, sx, sy, w, h, dx, dy, w, h);
+          continue;
         }
+        target.save();
+        target.translate(dx + w / 2, dy + h / 2);
+        target.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+        target.drawImage(tileset.image, sx, sy, w, h, -w / 2, -h / 2, w, h);
+        target.restore();
       }
-    });
+    }
+  }
 
-    ws.addEventListener("close", () => {
-      console.warn("WebSocket closed");
-      stopMovementLoop();
-      updateUI();
-    });
+  // Named rectangles, ellipses and polygons on object layers are regions
+  function getTiledRegions(layer) {
+    return (layer.objects || [])
+      .filter((object) => object.name && (object.polygon || object.width > 0))
+      .map((object) => ({
+        name: object.name,
+        x: object.x + layer.offsetx,
+        y: object.y + layer.offsety,
+        width: object.width,
+        height: object.height,
+        ellipse: !!object.ellipse,
+        polygon: object.polygon || null, // Points relative to x/y
+      }));
+  }
 
-    ws.addEventListener("error", (e) => {
-      console.error("WebSocket error", e);
-      stopMovementLoop();
-      updateUI();
-    });
+  function isInRegion(region, x, y) {
+    const px = x - region.x;
+    const py = y - region.y;
+    if (region.polygon) {
+      // Ray casting
+      let inside = false;
+      const points = region.polygon;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if (
+          a.y > py !== b.y > py &&
+          px < ((b.x - a.x) * (py - a.y)) / (b.y - a.y) + a.x
+        ) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+    if (region.ellipse) {
+      const rx = region.width / 2;
+      const ry = region.height / 2;
+      return ((px - rx) / rx) ** 2 + ((py - ry) / ry) ** 2 <= 1;
+    }
+    return px >= 0 && py >= 0 && px < region.width && py < region.height;
   }
 
-  // Bootstrap: wait for world image, then connect and start rendering
-  worldImage.onload = () => {
-    state.world.width = worldImage.naturalWidth || worldImage.width || 0;
-    state.world.height = worldImage.naturalHeight || worldImage.height || 0;
-    state.world.ready = true;
+  // Topmost region (last in the map) that contains the point
+  function getRegionAt(x, y) {
+    const regions = state.world.regions;
+    for (let i = regions.length - 1; i >= 0; i--) {
+      if (isInRegion(regions[i], x, y)) return regions[i];
+    }
+    return null;
+  }
+
+  function updateRegionHud() {
+    const region = state.me.ready ? getRegionAt(state.me.x, state.me.y) : null;
+    const name = region ? region.name : "";
+    if (name === currentRegionName) return;
+    currentRegionName = name;
+
+    const hud = document.getElementById("region-name");
+    if (!hud) return;
+    hud.hidden = !name;
+    hud.textContent = `You are in: ${name}`;
+  }
 
+  function startGame() {
     resizeCanvas();
     // Don't call updateCamera() here - wait until we have player position from server
 
     // Start the render loop once.
     startRenderLoop();
 
-    // Setup keyboard input
+    // Setup keyboard, gamepad and touch input
     setupKeyboardInput();
+    setupTouchJoystick();
+    setupControlsPanel();
+
+    // F3 debug HUD
+    setupDebugHud();
+
+    // Player list, with follow and locate
+    setupPlayerList();
+
+    // Setup minimap interactions
+    setupMinimap();
+
+    // Setup zoom and free-look
+    setupCameraControls();
+
+    // Optional walkability mask next to the world, and its painter
+    loadWalkability();
+    setupWalkPainter();
 
     // Setup chat system
     setupChat();
 
-    // Connect after world is ready; we can still connect earlier, but this ensures we can draw immediately
-    connectWebSocket();
-  };
+    // Setup avatar editor; a previously chosen avatar is preselected
+    setupAvatarEditor();
+    state.me.avatarUpload = getSelectedAvatar();
+
+    // Recording; a replay (?replay=) takes the lobby's place and never
+    // connects, otherwise the lobby connects once the user has picked a
+    // name and server
+    setupRecorder();
+    if (replay.active) {
+      setupReplay();
+    } else {
+      setupLobby();
+    }
+  }
+
+  // Bootstrap: load the world, then start rendering and show the lobby
+  // Only load failures are the map's fault; startGame() errors surface as is
+  loadWorld().then(startGame, (e) => {
+    console.error("Failed to load the world", e);
+    showWorldLoadError(`Couldn't load the map: ${e.message}`);
+  });
+
+  window.addEventListener("online", reconnectNow);
 
   window.addEventListener("resize", () => {
     resizeCanvas();
@@ -0,0 +1,555 @@
+// In-process mock of the game server for offline development and testing.
+// Speaks the protocol documented in README.md and hands out WebSocket-like
+// sockets, so main.js can use it without knowing it isn't a real server.
+(function () {
+  // Same numeric states as WebSocket
+  const CONNECTING = 0;
+  const OPEN = 1;
+  const CLOSED = 3;
+
+  const TICK_MS = 50; // Broadcast rate of players_moved
+  const MOVE_STEP = 15; // Pixels per directional move command
+  const WALK_SPEED = 6; // Pixels per tick when walking to a click target
+  const NEARBY_RADIUS = 400; // Reach of chat sent on the "nearby" channel
+  const DIRECTIONS = {
+    up: { dx: 0, dy: -1, facing: "north" },
+    down: { dx: 0, dy: 1, facing: "south" },
+    left: { dx: -1, dy: 0, facing: "west" },
+    right: { dx: 1, dy: 0, facing: "east" },
+  };
+  const BOT_LINES = [
+    "hello!",
+    "anyone around?",
+    "nice weather today",
+    "brb",
+    "this map is huge",
+  ];
+
+  function randomId() {
+    return Math.random().toString(36).slice(2, 11);
+  }
+
+  function randomInt(min, max) {
+    return Math.floor(min + Math.random() * (max - min + 1));
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  // Draws a simple 3-frame walking figure per direction as data URLs, so the
+  // mock can hand out avatars in the same shape the real server does.
+  function generateAvatar(name, color) {
+    const size = 32;
+    const frames = { north: [], south: [], east: [] };
+
+    for (const dir of Object.keys(frames)) {
+      for (let frame = 0; frame < 3; frame++) {
+        const off = document.createElement("canvas");
+        off.width = size;
+        off.height = size;
+        const octx = off.getContext("2d");
+        const stride = frame === 0 ? 0 : frame === 1 ? -3 : 3; // 0 = standing
+
+        // Legs
+        octx.fillStyle = "#333333";
+        octx.fillRect(12 + stride, 24, 3, 8);
+        octx.fillRect(17 - stride, 24, 3, 8);
+
+        // Body and head
+        octx.fillStyle = color;
+        octx.fillRect(10, 12, 12, 13);
+        octx.fillStyle = "#f1c27d";
+        octx.fillRect(11, 2, 10, 10);
+
+        // Eyes show which way we face (none from behind)
+        octx.fillStyle = "#000000";
+        if (dir === "south") {
+          octx.fillRect(13, 6, 2, 2);
+          octx.fillRect(17, 6, 2, 2);
+        } else if (dir === "east") {
+          octx.fillRect(18, 6, 2, 2);
+        }
+
+        frames[dir].push(off.toDataURL());
+      }
+    }
+
+    return { name, frames };
+  }
+
+  function isValidAvatar(avatar) {
+    if (!avatar || typeof avatar.name !== "string" || !avatar.name) {
+      return false;
+    }
+    if (!avatar.frames) return false;
+    for (const dir of ["north", "south", "east"]) {
+      const list = avatar.frames[dir];
+      if (!Array.isArray(list) || list.length === 0) return false;
+      for (const src of list) {
+        if (typeof src !== "string" || !src.startsWith("data:image/")) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // A bot wanders between random points, chatting now and then. Scripts are
+  // arrays of client protocol messages plus { wait: ms } pauses, and loop.
+  function createWanderScript(worldWidth, worldHeight) {
+    const steps = [];
+    for (let i = 0; i < 6; i++) {
+      steps.push({
+        action: "move",
+        x: randomInt(100, worldWidth - 100),
+        y: randomInt(100, worldHeight - 100),
+      });
+      steps.push({ wait: randomInt(500, 3000) });
+      if (Math.random() < 0.3) {
+        steps.push({
+          action: "chat",
+          message: BOT_LINES[randomInt(0, BOT_LINES.length - 1)],
+        });
+      }
+    }
+    return steps;
+  }
+
+  function createMockServer(options = {}) {
+    const config = {
+      worldWidth: options.worldWidth || 2048,
+      worldHeight: options.worldHeight || 2048,
+      latency: options.latency || 0, // Base one-way delay in ms
+      jitter: options.jitter || 0, // Extra random delay in ms
+      dropRate: options.dropRate || 0, // Chance (0-1) to drop a players_moved
+    };
+
+    const players = {}; // players[id] = README player shape + server-only fields
+    const avatars = {}; // avatars[name] = { name, frames, timing? }
+    const connections = new Set();
+    const bots = [];
+    let tickId = null;
+
+    const defaultAvatar = generateAvatar("mock_default", "#3f7fd9");
+    avatars[defaultAvatar.name] = defaultAvatar;
+
+    function publicPlayer(player) {
+      return {
+        id: player.id,
+        x: Math.round(player.x),
+        y: Math.round(player.y),
+        avatar: player.avatar,
+        facing: player.facing,
+        isMoving: player.isMoving,
+        username: player.username,
+        animationFrame: player.animationFrame,
+      };
+    }
+
+    function createPlayer(username, avatarName) {
+      const player = {
+        id: randomId(),
+        x: randomInt(config.worldWidth / 4, (config.worldWidth * 3) / 4),
+        y: randomInt(config.worldHeight / 4, (config.worldHeight * 3) / 4),
+        avatar: avatarName,
+        facing: "south",
+        isMoving: false,
+        username,
+        animationFrame: 0,
+        target: null,
+        dirty: false,
+      };
+      players[player.id] = player;
+      return player;
+    }
+
+    function deliver(connection, message) {
+      if (connection.socket.readyState !== OPEN) return;
+
+      // Movement broadcasts are the only thing we drop; losing a join
+      // response would just wedge the client
+      if (
+        message.action === "players_moved" &&
+        Math.random() < config.dropRate
+      ) {
+        return;
+      }
+
+      const text = JSON.stringify(message);
+      const delay = config.latency + Math.random() * config.jitter;
+
+      // Keep messages in order like a real TCP stream would
+      const deliverAt = Math.max(Date.now() + delay, connection.lastDeliverAt);
+      connection.lastDeliverAt = deliverAt;
+      setTimeout(() => {
+        connection.socket._receive(text);
+      }, deliverAt - Date.now());
+    }
+
+    function broadcast(message, exceptConnection = null) {
+      for (const connection of connections) {
+        if (connection !== exceptConnection && connection.playerId) {
+          deliver(connection, message);
+        }
+      }
+    }
+
+    function stepPlayer(player, dx, dy, facing) {
+      player.x = clamp(player.x + dx, 0, config.worldWidth);
+      player.y = clamp(player.y + dy, 0, config.worldHeight);
+      player.facing = facing;
+      player.isMoving = true;
+      player.animationFrame = (player.animationFrame + 1) % 3;
+      player.dirty = true;
+    }
+
+    function facingFor(dx, dy) {
+      if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? "east" : "west";
+      return dy > 0 ? "south" : "north";
+    }
+
+    // Applies one client message on behalf of a player. Returns an error
+    // string, or null on success. Shared by sockets and bots.
+    function applyAction(player, msg) {
+      if (msg.action === "move") {
+        if (typeof msg.x === "number" && typeof msg.y === "number") {
+          player.target = {
+            x: clamp(msg.x, 0, config.worldWidth),
+            y: clamp(msg.y, 0, config.worldHeight),
+          };
+          return null;
+        }
+        const dir = DIRECTIONS[msg.direction];
+        if (!dir) return "Invalid direction";
+        player.target = null;
+        stepPlayer(player, dir.dx * MOVE_STEP, dir.dy * MOVE_STEP, dir.facing);
+        return null;
+      }
+
+      if (msg.action === "stop") {
+        player.target = null;
+        if (player.isMoving) {
+          player.isMoving = false;
+          player.animationFrame = 0;
+          player.dirty = true;
+        }
+        return null;
+      }
+
+      if (msg.action === "chat") {
+        if (typeof msg.message !== "string" || !msg.message.trim()) {
+          return "Invalid chat message";
+        }
+        const channel = msg.channel === "nearby" ? "nearby" : "global";
+        const chat = {
+          action: "chat",
+          playerId: player.id,
+          username: player.username,
+          message: msg.message.slice(0, 100),
+          channel,
+        };
+        // Sender already echoes locally
+        const sender = [...connections].find((c) => c.playerId === player.id);
+        if (channel === "global") {
+          broadcast(chat, sender || null);
+          return null;
+        }
+        for (const connection of connections) {
+          const other = connection.playerId && players[connection.playerId];
+          if (
+            connection !== sender &&
+            other &&
+            Math.hypot(other.x - player.x, other.y - player.y) <= NEARBY_RADIUS
+          ) {
+            deliver(connection, chat);
+          }
+        }
+        return null;
+      }
+
+      if (msg.action === "whisper") {
+        if (typeof msg.message !== "string" || !msg.message.trim()) {
+          return "Invalid chat message";
+        }
+        const wanted = String(msg.to || "").toLowerCase();
+        const recipients = [...connections].filter(
+          (c) =>
+            c.playerId && players[c.playerId].username.toLowerCase() === wanted
+        );
+        if (recipients.length === 0) return "Unknown player";
+        for (const recipient of recipients) {
+          deliver(recipient, {
+            action: "whisper",
+            playerId: player.id,
+            username: player.username,
+            message: msg.message.slice(0, 100),
+          });
+        }
+        return null;
+      }
+
+      return "Unknown action";
+    }
+
+    function handleJoin(connection, msg) {
+      if (connection.playerId) {
+        return "Already joined";
+      }
+      if (typeof msg.username !== "string" || !msg.username.trim()) {
+        return "Invalid username";
+      }
+
+      let avatarName = defaultAvatar.name;
+      if (msg.avatar !== undefined) {
+        if (!isValidAvatar(msg.avatar)) return "Invalid avatar data";
+        avatars[msg.avatar.name] = {
+          name: msg.avatar.name,
+          frames: msg.avatar.frames,
+        };
+        const timing = msg.avatar.timing;
+        if (timing && typeof timing === "object" && !Array.isArray(timing)) {
+          avatars[msg.avatar.name].timing = timing;
+        }
+        avatarName = msg.avatar.name;
+      }
+
+      const player = createPlayer(msg.username.trim(), avatarName);
+      connection.playerId = player.id;
+
+      const snapshot = {};
+      for (const p of Object.values(players)) {
+        snapshot[p.id] = publicPlayer(p);
+      }
+      deliver(connection, {
+        action: "join_game",
+        success: true,
+        playerId: player.id,
+        players: snapshot,
+        avatars: { ...avatars },
+      });
+
+      broadcast(
+        {
+          action: "player_joined",
+          player: publicPlayer(player),
+          avatar: avatars[avatarName],
+        },
+        connection
+      );
+      return null;
+    }
+
+    function handleClientText(connection, text) {
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch (e) {
+        deliver(connection, {
+          action: "unknown",
+          success: false,
+          error: "Invalid message format",
+        });
+        return;
+      }
+
+      let error;
+      if (!msg || typeof msg.action !== "string") {
+        error = "Invalid message format";
+      } else if (msg.action === "join_game") {
+        error = handleJoin(connection, msg);
+      } else if (!connection.playerId) {
+        error = "Not joined";
+      } else {
+        error = applyAction(players[connection.playerId], msg);
+      }
+
+      if (error) {
+        deliver(connection, {
+          action: (msg && msg.action) || "unknown",
+          success: false,
+          error,
+        });
+      }
+    }
+
+    function removeConnection(connection) {
+      if (!connections.has(connection)) return;
+      connections.delete(connection);
+      if (connection.playerId) {
+        delete players[connection.playerId];
+        broadcast({ action: "player_left", playerId: connection.playerId });
+      }
+    }
+
+    function runBot(bot, now) {
+      if (now < bot.waitUntil) return;
+      // Walking to a point: finish before the next step
+      if (bot.player.target) return;
+
+      const step = bot.script[bot.stepIndex];
+      bot.stepIndex = (bot.stepIndex + 1) % bot.script.length;
+
+      if (step.wait) {
+        bot.waitUntil = now + step.wait;
+        return;
+      }
+      const repeat = step.repeat || 1;
+      for (let i = 0; i < repeat; i++) {
+        applyAction(bot.player, step);
+      }
+      if (step.action === "move" && step.direction) {
+        // Pace directional moves like a held key
+        bot.waitUntil = now + 100;
+      }
+    }
+
+    function tick() {
+      const now = Date.now();
+
+      for (const bot of bots) {
+        runBot(bot, now);
+      }
+
+      for (const player of Object.values(players)) {
+        if (!player.target) continue;
+        const dx = player.target.x - player.x;
+        const dy = player.target.y - player.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist <= WALK_SPEED) {
+          player.x = player.target.x;
+          player.y = player.target.y;
+          player.target = null;
+          player.isMoving = false;
+          player.animationFrame = 0;
+          player.dirty = true;
+        } else {
+          stepPlayer(
+            player,
+            (dx / dist) * WALK_SPEED,
+            (dy / dist) * WALK_SPEED,
+            facingFor(dx, dy)
+          );
+        }
+      }
+
+      const moved = {};
+      let anyMoved = false;
+      for (const player of Object.values(players)) {
+        if (player.dirty) {
+          moved[player.id] = publicPlayer(player);
+          player.dirty = false;
+          anyMoved = true;
+        }
+      }
+      if (anyMoved) {
+        broadcast({ action: "players_moved", players: moved });
+      }
+    }
+
+    // WebSocket look-alike handed to the client
+    class MockSocket extends EventTarget {
+      constructor() {
+        super();
+        this.readyState = CONNECTING;
+        this._connection = { socket: this, playerId: null, lastDeliverAt: 0 };
+        connections.add(this._connection);
+        setTimeout(() => {
+          if (this.readyState !== CONNECTING) return;
+          this.readyState = OPEN;
+          this.dispatchEvent(new Event("open"));
+        }, config.latency);
+      }
+
+      send(text) {
+        if (this.readyState !== OPEN) {
+          throw new Error("MockSocket is not open");
+        }
+        const connection = this._connection;
+        setTimeout(() => {
+          if (connections.has(connection)) {
+            handleClientText(connection, text);
+          }
+        }, config.latency + Math.random() * config.jitter);
+      }
+
+      close() {
+        this._terminate(1000);
+      }
+
+      _receive(text) {
+        if (this.readyState !== OPEN) return;
+        this.dispatchEvent(new MessageEvent("message", { data: text }));
+      }
+
+      _terminate(code) {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        removeConnection(this._connection);
+        this.dispatchEvent(new CloseEvent("close", { code }));
+      }
+    }
+
+    const server = {
+      connect() {
+        if (!tickId) tickId = setInterval(tick, TICK_MS);
+        return new MockSocket();
+      },
+
+      addBot(username, script) {
+        const player = createPlayer(username, defaultAvatar.name);
+        bots.push({
+          player,
+          script:
+            script || createWanderScript(config.worldWidth, config.worldHeight),
+          stepIndex: 0,
+          waitUntil: 0,
+        });
+        broadcast({
+          action: "player_joined",
+          player: publicPlayer(player),
+          avatar: avatars[player.avatar],
+        });
+        return player.id;
+      },
+
+      removeBot(playerId) {
+        const index = bots.findIndex((bot) => bot.player.id === playerId);
+        if (index === -1) return;
+        bots.splice(index, 1);
+        delete players[playerId];
+        broadcast({ action: "player_left", playerId });
+      },
+
+      // Abruptly drops every client, as if the server went away
+      disconnectAll() {
+        for (const connection of [...connections]) {
+          connection.socket._terminate(1006);
+        }
+      },
+
+      setLatency(latency, jitter = config.jitter) {
+        config.latency = latency;
+        config.jitter = jitter;
+      },
+
+      setDropRate(dropRate) {
+        config.dropRate = clamp(dropRate, 0, 1);
+      },
+
+      stop() {
+        clearInterval(tickId);
+        tickId = null;
+        server.disconnectAll();
+      },
+    };
+
+    for (let i = 0; i < (options.bots || 0); i++) {
+      server.addBot(`Bot ${i + 1}`);
+    }
+
+    return server;
+  }
+
+  window.MockServer = { create: createMockServer };
+})();